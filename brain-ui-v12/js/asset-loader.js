@@ -0,0 +1,388 @@
+/**
+ * Asset Loader
+ * Scripts, models and textures come from a local manifest, so a kiosk with
+ * no network runs from the bundled copies. Each asset is fetched from its
+ * bundled path first and its CDN address second, checked against its
+ * integrity hash, and reported one by one - so the loading screen can say
+ * exactly which file is missing or damaged.
+ *
+ * Manifest format (content/assets.json):
+ * {
+ *     "scripts": [
+ *         {
+ *             "id": "three",                          // required, lowercase letters, digits and dashes
+ *             "path": "vendor/three/build/three.min.js", // required, relative to the page
+ *             "cdn": "https://...",                   // optional, tried when the bundled copy can't be loaded
+ *             "integrity": "sha384-...",              // optional, Subresource Integrity format
+ *             "global": "THREE"                       // scripts only, optional - must exist once the script has run
+ *         }
+ *     ],
+ *     "models": [{ "id": "brain", "path": "public/brain.glb" }],
+ *     "textures": [{ "id": "brain-albedo", "path": "...", "optional": true }]
+ * }
+ *
+ * Scripts run in the order listed. "optional" assets may fail without
+ * stopping the page.
+ */
+
+export const ASSET_MANIFEST = 'content/assets.json';
+export const ASSET_KINDS = ['scripts', 'models', 'textures'];
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const INTEGRITY_PATTERN = /^sha(256|384|512)-[A-Za-z0-9+/]+={0,2}$/;
+const DIGESTS = { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
+export class AssetManifestError extends Error {
+    constructor(source, errors) {
+        super(`Invalid asset manifest ${source}:\n- ${errors.join('\n- ')}`);
+        this.name = 'AssetManifestError';
+        this.errors = errors;
+    }
+}
+
+export class AssetLoadError extends Error {
+    /**
+     * @param {Object[]} failures - Assets that could not be loaded, each with a `message`
+     */
+    constructor(failures) {
+        const count = failures.length === 1 ? '1 asset' : `${failures.length} assets`;
+        super(`Could not load ${count}:\n- ${failures.map(asset => `${asset.id}: ${asset.message}`).join('\n- ')}`);
+        this.name = 'AssetLoadError';
+        this.failures = failures;
+    }
+}
+
+/**
+ * Check a parsed manifest against the format above
+ * @param {Object} manifest - Parsed JSON
+ * @returns {string[]} Problems found, empty when valid
+ */
+export function validateAssetManifest(manifest) {
+    const errors = [];
+    
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        return ['manifest must be a JSON object'];
+    }
+    
+    const ids = new Set();
+    ASSET_KINDS.forEach((kind) => {
+        if (manifest[kind] === undefined) return;
+        if (!Array.isArray(manifest[kind])) {
+            errors.push(`"${kind}" must be an array`);
+            return;
+        }
+        
+        manifest[kind].forEach((asset, index) => {
+            const label = asset && typeof asset.id === 'string' ? `${kind}[${index}] ("${asset.id}")` : `${kind}[${index}]`;
+            
+            if (!asset || typeof asset !== 'object') {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+            
+            if (typeof asset.id !== 'string' || !ID_PATTERN.test(asset.id)) {
+                errors.push(`${label} needs an "id" of lowercase letters, digits and dashes`);
+            } else if (ids.has(asset.id)) {
+                errors.push(`${label} duplicates id "${asset.id}"`);
+            } else {
+                ids.add(asset.id);
+            }
+            
+            if (typeof asset.path !== 'string' || asset.path === '') {
+                errors.push(`${label} is missing a "path"`);
+            }
+            if (asset.cdn !== undefined && (typeof asset.cdn !== 'string' || !/^https:\/\//.test(asset.cdn))) {
+                errors.push(`${label} has a "cdn" that isn't an https:// URL`);
+            }
+            if (asset.integrity !== undefined &&
+                (typeof asset.integrity !== 'string' || !asset.integrity.split(/\s+/).every(hash => INTEGRITY_PATTERN.test(hash)))) {
+                errors.push(`${label} has an invalid "integrity" - use "sha384-<base64>" (sha256 and sha512 work too)`);
+            }
+            if (asset.global !== undefined && kind !== 'scripts') {
+                errors.push(`${label} has a "global" - only scripts can have one`);
+            } else if (asset.global !== undefined && typeof asset.global !== 'string') {
+                errors.push(`${label} "global" must be a name like "THREE.OrbitControls"`);
+            }
+            if (asset.optional !== undefined && typeof asset.optional !== 'boolean') {
+                errors.push(`${label} "optional" must be true or false`);
+            }
+        });
+    });
+    
+    if (!Array.isArray(manifest.scripts) || manifest.scripts.length === 0) {
+        errors.push('"scripts" must list at least Three.js');
+    }
+    
+    return errors;
+}
+
+/**
+ * Fetch and validate an asset manifest
+ * @param {string} [url]
+ * @returns {Promise<Object>} The manifest
+ */
+export async function loadAssetManifest(url = ASSET_MANIFEST) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new Error(`Could not fetch asset manifest ${url}: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new Error(`Could not fetch asset manifest ${url}: HTTP ${response.status}`);
+    }
+    
+    let manifest;
+    try {
+        manifest = await response.json();
+    } catch (error) {
+        throw new AssetManifestError(url, [`not valid JSON (${error.message})`]);
+    }
+    
+    const errors = validateAssetManifest(manifest);
+    if (errors.length > 0) {
+        throw new AssetManifestError(url, errors);
+    }
+    
+    return manifest;
+}
+
+/**
+ * Check bytes against a Subresource Integrity string. Passes if any of the
+ * listed hashes match.
+ * @param {ArrayBuffer} buffer
+ * @param {string} integrity - e.g. "sha384-..."
+ * @returns {Promise<boolean>} false when the browser can't hash (crypto.subtle needs https or localhost)
+ */
+export async function verifyIntegrity(buffer, integrity) {
+    if (!globalThis.crypto || !globalThis.crypto.subtle) {
+        return false;
+    }
+    
+    const hashes = integrity.split(/\s+/);
+    const actual = {};
+    for (const hash of hashes) {
+        const split = hash.indexOf('-');
+        const algorithm = hash.slice(0, split);
+        const expected = hash.slice(split + 1);
+        if (!actual[algorithm]) {
+            const digest = new Uint8Array(await crypto.subtle.digest(DIGESTS[algorithm], buffer));
+            actual[algorithm] = btoa(String.fromCharCode(...digest));
+        }
+        if (actual[algorithm] === expected) return true;
+    }
+    
+    const [first] = hashes;
+    const algorithm = first.slice(0, first.indexOf('-'));
+    throw new Error(`integrity check failed - expected ${first}, got ${algorithm}-${actual[algorithm]}`);
+}
+
+/**
+ * Fetch a file as bytes, with a timeout and download progress
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeout=20000] - ms before giving up
+ * @param {function(number, number)} [options.onProgress] - (bytes loaded, total bytes or 0 if unknown)
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function fetchBytes(url, { timeout = 20000, onProgress = null } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(response.status === 404 ? `${url} not found (HTTP 404)` : `${url}: HTTP ${response.status}`);
+        }
+        
+        if (!onProgress || !response.body) {
+            return await response.arrayBuffer();
+        }
+        
+        // Read in chunks so a large model can show how far it's got
+        const total = parseInt(response.headers.get('content-length'), 10) || 0;
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.length;
+            onProgress(loaded, total);
+        }
+        
+        const bytes = new Uint8Array(loaded);
+        let offset = 0;
+        chunks.forEach((chunk) => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return bytes.buffer;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`${url} timed out after ${Math.round(timeout / 1000)} s`);
+        }
+        if (error instanceof TypeError) {
+            throw new Error(`${url} could not be reached (${error.message})`); // Offline, CORS or a bad address
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+export class AssetLoader {
+    /**
+     * @param {Object} manifest - A validated manifest (see loadAssetManifest)
+     * @param {Object} [options]
+     * @param {function(Object)} [options.onStatus] - Called with the asset whenever its state changes
+     * @param {number} [options.timeout=20000] - Per-request timeout in ms
+     */
+    constructor(manifest, { onStatus = null, timeout = 20000 } = {}) {
+        this.onStatus = onStatus;
+        this.timeout = timeout;
+        this.assets = new Map();
+        this.warnedNoCrypto = false;
+        
+        ASSET_KINDS.forEach((kind) => {
+            (manifest[kind] || []).forEach((asset) => {
+                // state: 'pending' | 'loading' | 'loaded' | 'failed'; source: 'bundled' | 'cdn'
+                this.assets.set(asset.id, { ...asset, kind, state: 'pending', source: null, message: '' });
+            });
+        });
+    }
+    
+    has(id) {
+        return this.assets.has(id);
+    }
+    
+    get(id) {
+        const asset = this.assets.get(id);
+        if (!asset) {
+            throw new Error(`Unknown asset "${id}" - add it to ${ASSET_MANIFEST}`);
+        }
+        return asset;
+    }
+    
+    setState(asset, state, message = '') {
+        asset.state = state;
+        asset.message = message;
+        if (this.onStatus) this.onStatus(asset);
+    }
+    
+    /**
+     * Fetch an asset's bytes - bundled copy first, then the CDN - and check its integrity
+     * @param {string} id
+     * @param {Object} [options]
+     * @param {function(number, number)} [options.onProgress] - (bytes loaded, total bytes or 0)
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async fetchAsset(id, { onProgress = null } = {}) {
+        const asset = this.get(id);
+        const sources = [['bundled', asset.path]];
+        if (asset.cdn) sources.push(['cdn', asset.cdn]);
+        
+        this.setState(asset, 'loading', asset.path);
+        const problems = [];
+        for (const [source, url] of sources) {
+            try {
+                const buffer = await fetchBytes(url, { timeout: this.timeout, onProgress });
+                if (asset.integrity) {
+                    const verified = await verifyIntegrity(buffer, asset.integrity);
+                    if (!verified && !this.warnedNoCrypto) {
+                        console.warn('?? Integrity checks skipped - the browser only allows them over https or on localhost');
+                        this.warnedNoCrypto = true;
+                    }
+                }
+                
+                asset.source = source;
+                asset.url = url;
+                this.setState(asset, 'loaded', source === 'cdn' ? `from ${url} (bundled copy missing)` : url);
+                return buffer;
+            } catch (error) {
+                problems.push(error.message);
+            }
+        }
+        
+        const message = problems.join('; then ');
+        this.setState(asset, 'failed', message);
+        throw new Error(`${id}: ${message}`);
+    }
+    
+    /**
+     * Run every script in the manifest, in order. Scripts whose global already
+     * exists (e.g. added by hand with a <script> tag) are skipped.
+     * @returns {Promise<void>} Rejects with an AssetLoadError listing every required script that failed
+     */
+    async loadScripts() {
+        const failures = [];
+        
+        for (const asset of this.assets.values()) {
+            if (asset.kind !== 'scripts') continue;
+            if (asset.global && readGlobal(asset.global) !== undefined) {
+                this.setState(asset, 'loaded', 'already on the page');
+                continue;
+            }
+            // Later scripts build on earlier ones - no point running them after a failure
+            if (failures.length > 0) {
+                this.setState(asset, 'failed', `skipped, needs ${failures[0].id}`);
+                if (!asset.optional) failures.push(asset);
+                continue;
+            }
+            
+            try {
+                const buffer = await this.fetchAsset(asset.id);
+                runScript(new TextDecoder().decode(buffer), asset.url);
+                if (asset.global && readGlobal(asset.global) === undefined) {
+                    throw new Error(`${asset.url} ran but didn't define ${asset.global}`);
+                }
+            } catch (error) {
+                if (asset.state !== 'failed') this.setState(asset, 'failed', error.message);
+                if (!asset.optional) failures.push(asset);
+            }
+        }
+        
+        if (failures.length > 0) {
+            throw new AssetLoadError(failures);
+        }
+    }
+    
+    /**
+     * Load a texture through the manifest, so it gets the same fallback and integrity check
+     * @param {string} id
+     * @returns {Promise<THREE.Texture>}
+     */
+    async loadTexture(id) {
+        const buffer = await this.fetchAsset(id);
+        const url = URL.createObjectURL(new Blob([buffer]));
+        try {
+            return await new THREE.TextureLoader().loadAsync(url);
+        } catch (error) {
+            this.setState(this.get(id), 'failed', 'not a readable image');
+            throw new Error(`${id}: not a readable image`);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+    
+    /**
+     * Assets that failed to load
+     * @returns {Object[]}
+     */
+    failures() {
+        return [...this.assets.values()].filter(asset => asset.state === 'failed');
+    }
+}
+
+// "THREE.OrbitControls" -> window.THREE.OrbitControls
+function readGlobal(path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), globalThis);
+}
+
+function runScript(code, url) {
+    const script = document.createElement('script');
+    script.textContent = `${code}\n//# sourceURL=${url}`;
+    document.head.appendChild(script);
+    script.remove();
+}
@@ -0,0 +1,102 @@
+/**
+ * Debug HUD
+ * A small panel in the top-left corner, shown with ?debug=1 or the backtick
+ * key: frame rate, a frame time graph, renderer counters, the time spent in
+ * each phase of a frame and what the adaptive quality manager has chosen.
+ */
+
+const GRAPH_WIDTH = 180;
+const GRAPH_HEIGHT = 48;
+const GRAPH_MAX = 50; // ms at the top of the graph
+
+export class DebugHud {
+    /**
+     * @param {HTMLElement} parent
+     * @param {Object} [options]
+     * @param {function()} [options.onExport] - Adds a button to download the frame profile
+     */
+    constructor(parent, { onExport = null } = {}) {
+        this.element = document.createElement('div');
+        this.element.id = 'debug-hud';
+        this.element.setAttribute('aria-hidden', 'true');
+        
+        this.readout = document.createElement('pre');
+        this.element.appendChild(this.readout);
+        
+        // Frame times, one bar per frame, scaled for the device pixels
+        this.graph = document.createElement('canvas');
+        const ratio = window.devicePixelRatio || 1;
+        this.graph.width = Math.round(GRAPH_WIDTH * ratio);
+        this.graph.height = Math.round(GRAPH_HEIGHT * ratio);
+        this.graph.style.width = `${GRAPH_WIDTH}px`;
+        this.graph.style.height = `${GRAPH_HEIGHT}px`;
+        this.element.appendChild(this.graph);
+        
+        if (onExport) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = '💾 Profile JSON';
+            button.addEventListener('click', onExport);
+            this.element.appendChild(button);
+        }
+        
+        parent.appendChild(this.element);
+        this.text = '';
+        this.visible = true;
+    }
+    
+    /**
+     * Show one line per row. The DOM is only touched when the text changes.
+     * @param {Array<[string, string]>} rows - Label and value pairs
+     */
+    update(rows) {
+        const text = rows.map(([label, value]) => `${label.padEnd(11)}${value}`).join('\n');
+        if (text === this.text) return;
+        this.text = text;
+        this.readout.textContent = text;
+    }
+    
+    /**
+     * Draw the frame time graph, newest frame on the right
+     * @param {number[]} times - ms per frame, oldest first
+     */
+    drawGraph(times) {
+        const ctx = this.graph.getContext('2d');
+        const { width, height } = this.graph;
+        const barWidth = width / GRAPH_WIDTH;
+        ctx.clearRect(0, 0, width, height);
+        
+        times.slice(-GRAPH_WIDTH).forEach((time, i, shown) => {
+            const barHeight = Math.min(time / GRAPH_MAX, 1) * height;
+            // Green within 60 fps, amber within 30, red beyond
+            ctx.fillStyle = time <= 17.5 ? '#4caf50' : time <= 34 ? '#ffb300' : '#f44336';
+            ctx.fillRect((GRAPH_WIDTH - shown.length + i) * barWidth, height - barHeight, barWidth, barHeight);
+        });
+        
+        // 60 and 30 fps lines
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        [1000 / 60, 1000 / 30].forEach((time) => {
+            ctx.fillRect(0, Math.round(height - time / GRAPH_MAX * height), width, 1);
+        });
+    }
+    
+    show() {
+        this.visible = true;
+        this.element.hidden = false;
+    }
+    
+    hide() {
+        this.visible = false;
+        this.element.hidden = true;
+    }
+    
+    toggle() {
+        if (this.visible) this.hide();
+        else this.show();
+        return this.visible;
+    }
+    
+    remove() {
+        this.element.remove();
+    }
+}
@@ -0,0 +1,338 @@
+/**
+ * Experience Profiles
+ * One JSON file describes a whole version of the experience - puzzle grid,
+ * overlay layers and their scales, piece palette, brain material, explosion
+ * and the reveal stages - so the old brain-ui-vN folders become presets of a
+ * single BrainViewer instead of forked copies.
+ *
+ * Profile format (every field except id and name is optional, defaults are v12):
+ * {
+ *     "id": "v11",                                  // required, lowercase letters, digits and dashes
+ *     "name": "Electric Brain",                     // required
+ *     "description": "...",
+ *     "label": "Version 11",                        // Short tag above the name in the version selector
+ *     "features": ["Electrified brain shader"],     // Bullet points for the version selector
+ *     "thumbnail": "img/v11.png",                   // Selector image, relative to the viewer page (drawn from the profile if left out)
+ *     "accent": "#00e676",                          // Selector card colour
+ *     "grid": { "rows": 5, "cols": 5 },             // 2..12 each
+ *     "layers": {
+ *         "green": { "enabled": true, "scale": 1.42 },   // Glow shell, scale relative to the brain
+ *         "matrix": { "enabled": true, "scale": 1.45 },  // Matrix rain shell
+ *         "pieces": { "scale": 1.60 }                    // Puzzle pieces
+ *     },
+ *     "palette": "checkerboard",                    // or "front-back": warm front rows, cool back rows
+ *     "brainMaterial": "electric",                  // or "anatomical": albedo/roughness maps, "original": the model's own
+ *     "mode": "play",                               // or "explode"
+ *     "explosionStyle": "tween",                    // or "physics"
+ *     "pieceNumbers": false,                        // Number labels on the pieces (debugging aid from v10)
+ *     "reveal": {
+ *         "delay": 3000,                            // ms after the explosion (explode mode)
+ *         "stages": [                               // at: ms after the reveal starts
+ *             { "stage": "green-fade", "at": 0, "duration": 2000 },
+ *             { "stage": "matrix-fade", "at": 1500, "duration": 3000 },
+ *             { "stage": "brain-crossfade", "at": 4500, "duration": 2500 }
+ *         ]
+ *     }
+ * }
+ *
+ * In play mode the reveal starts when the last piece is home, so "delay" is not used.
+ */
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+export const PROFILE_DIRECTORY = 'content/profiles';
+
+// Reveal stage -> the layer it animates (an overlay, or the brain itself). One stage per layer.
+export const REVEAL_STAGES = {
+    'green-fade': 'green',       // Glow fades out evenly
+    'green-melt': 'green',       // Glow drains away from the top down
+    'matrix-fade': 'matrix',     // Matrix rain fades out in place
+    'matrix-spiral': 'matrix',   // Matrix shell spins outwards and fades
+    'matrix-drip': 'matrix',     // Matrix shell drips down and fades
+    'brain-crossfade': 'brain'   // Brain fades to anatomical (or to electric from anatomical)
+};
+
+const CHOICES = {
+    palette: ['checkerboard', 'front-back'],
+    brainMaterial: ['electric', 'anatomical', 'original'],
+    mode: ['play', 'explode'],
+    explosionStyle: ['tween', 'physics']
+};
+
+// The v12 experience - used for anything a profile leaves out
+export const DEFAULT_PROFILE = {
+    id: 'v12',
+    name: 'Drag-home Puzzle',
+    description: '',
+    features: [],
+    grid: { rows: 5, cols: 5 },
+    layers: {
+        green: { enabled: true, scale: 1.42 },
+        matrix: { enabled: true, scale: 1.45 },
+        pieces: { scale: 1.60 }
+    },
+    palette: 'checkerboard',
+    brainMaterial: 'electric',
+    mode: 'play',
+    explosionStyle: 'tween',
+    pieceNumbers: false,
+    reveal: {
+        delay: 3000,
+        stages: [
+            { stage: 'green-fade', at: 0, duration: 2000 },
+            { stage: 'matrix-fade', at: 1500, duration: 3000 }
+        ]
+    }
+};
+
+export class ExperienceProfileError extends Error {
+    constructor(source, errors) {
+        super(`Invalid experience profile ${source}:\n- ${errors.join('\n- ')}`);
+        this.name = 'ExperienceProfileError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Check a parsed profile against the format above
+ * @param {Object} profile - Parsed JSON
+ * @returns {string[]} Problems found, empty when valid
+ */
+export function validateExperienceProfile(profile) {
+    const errors = [];
+    
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        return ['profile must be a JSON object'];
+    }
+    
+    if (typeof profile.id !== 'string' || !ID_PATTERN.test(profile.id)) {
+        errors.push('"id" must use lowercase letters, digits and dashes');
+    }
+    if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+        errors.push('missing a "name"');
+    }
+    ['description', 'label', 'thumbnail'].forEach((key) => {
+        if (profile[key] !== undefined && typeof profile[key] !== 'string') {
+            errors.push(`"${key}" must be a string`);
+        }
+    });
+    if (profile.features !== undefined &&
+        (!Array.isArray(profile.features) || profile.features.some(feature => typeof feature !== 'string'))) {
+        errors.push('"features" must be an array of strings');
+    }
+    if (profile.accent !== undefined && !(typeof profile.accent === 'string' && COLOR_PATTERN.test(profile.accent))) {
+        errors.push(`bad "accent" ${JSON.stringify(profile.accent)} - use "#rrggbb"`);
+    }
+    
+    if (profile.grid !== undefined) {
+        ['rows', 'cols'].forEach((key) => {
+            const value = profile.grid && profile.grid[key];
+            if (value !== undefined && !(Number.isInteger(value) && value >= 2 && value <= 12)) {
+                errors.push(`"grid.${key}" must be a whole number from 2 to 12`);
+            }
+        });
+    }
+    
+    const layers = profile.layers || {};
+    if (profile.layers !== undefined && (typeof profile.layers !== 'object' || Array.isArray(profile.layers))) {
+        errors.push('"layers" must be an object');
+    } else {
+        Object.keys(layers).forEach((name) => {
+            const layer = layers[name];
+            if (!Object.prototype.hasOwnProperty.call(DEFAULT_PROFILE.layers, name)) {
+                errors.push(`unknown layer "${name}" - use green, matrix or pieces`);
+            } else if (!layer || typeof layer !== 'object') {
+                errors.push(`"layers.${name}" must be an object`);
+            } else {
+                if (layer.scale !== undefined && !(typeof layer.scale === 'number' && layer.scale >= 1 && layer.scale <= 3)) {
+                    errors.push(`"layers.${name}.scale" must be a number from 1 to 3`);
+                }
+                if (layer.enabled !== undefined && typeof layer.enabled !== 'boolean') {
+                    errors.push(`"layers.${name}.enabled" must be true or false`);
+                } else if (name === 'pieces' && layer.enabled === false) {
+                    errors.push('"layers.pieces" can\'t be turned off - the puzzle needs its pieces');
+                }
+            }
+        });
+    }
+    
+    Object.keys(CHOICES).forEach((key) => {
+        if (profile[key] !== undefined && !CHOICES[key].includes(profile[key])) {
+            errors.push(`"${key}" must be one of ${CHOICES[key].map(choice => `"${choice}"`).join(', ')}`);
+        }
+    });
+    
+    if (profile.pieceNumbers !== undefined && typeof profile.pieceNumbers !== 'boolean') {
+        errors.push('"pieceNumbers" must be true or false');
+    }
+    
+    if (profile.reveal !== undefined) {
+        const reveal = profile.reveal;
+        if (!reveal || typeof reveal !== 'object') {
+            errors.push('"reveal" must be an object');
+        } else {
+            if (reveal.delay !== undefined && !(typeof reveal.delay === 'number' && reveal.delay >= 0)) {
+                errors.push('"reveal.delay" must be a number of ms, 0 or more');
+            }
+            if (reveal.stages !== undefined) {
+                if (!Array.isArray(reveal.stages)) {
+                    errors.push('"reveal.stages" must be an array');
+                } else {
+                    validateStages(reveal.stages, layers, errors);
+                }
+            }
+        }
+    }
+    
+    return errors;
+}
+
+function validateStages(stages, layers, errors) {
+    const layersUsed = new Map();
+    
+    stages.forEach((entry, index) => {
+        const label = entry && typeof entry.stage === 'string'
+            ? `reveal.stages[${index}] ("${entry.stage}")`
+            : `reveal.stages[${index}]`;
+        
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        
+        const layer = Object.prototype.hasOwnProperty.call(REVEAL_STAGES, entry.stage) ? REVEAL_STAGES[entry.stage] : null;
+        if (!layer) {
+            errors.push(`${label} is not a known stage - use ${Object.keys(REVEAL_STAGES).join(', ')}`);
+        } else if (layersUsed.has(layer)) {
+            errors.push(`${label} animates the ${layer} layer, already used by "${layersUsed.get(layer)}"`);
+        } else if (layers[layer] && layers[layer].enabled === false) {
+            errors.push(`${label} animates the ${layer} layer, which is turned off`);
+        } else {
+            layersUsed.set(layer, entry.stage);
+        }
+        
+        if (entry.at !== undefined && !(typeof entry.at === 'number' && entry.at >= 0)) {
+            errors.push(`${label} "at" must be a number of ms, 0 or more`);
+        }
+        if (!(typeof entry.duration === 'number' && entry.duration > 0)) {
+            errors.push(`${label} needs a "duration" in ms`);
+        }
+    });
+}
+
+/**
+ * Fill in everything a validated profile leaves out from DEFAULT_PROFILE
+ * @param {Object} [profile] - A profile that passed validateExperienceProfile()
+ * @returns {Object} A complete profile (new objects, safe to change)
+ */
+export function resolveExperienceProfile(profile = {}) {
+    const layers = profile.layers || {};
+    const reveal = profile.reveal || {};
+    const stages = reveal.stages || DEFAULT_PROFILE.reveal.stages;
+    
+    return {
+        ...DEFAULT_PROFILE,
+        ...profile,
+        grid: { ...DEFAULT_PROFILE.grid, ...profile.grid },
+        layers: {
+            green: { ...DEFAULT_PROFILE.layers.green, ...layers.green },
+            matrix: { ...DEFAULT_PROFILE.layers.matrix, ...layers.matrix },
+            pieces: { ...DEFAULT_PROFILE.layers.pieces, ...layers.pieces }
+        },
+        reveal: {
+            delay: reveal.delay !== undefined ? reveal.delay : DEFAULT_PROFILE.reveal.delay,
+            stages: stages.map(entry => ({ at: 0, ...entry }))
+        }
+    };
+}
+
+/**
+ * Where a profile lives: a bare id is looked up in content/profiles/
+ * @param {string} profile - Id (e.g. "v11") or URL of a .json file
+ * @returns {string}
+ */
+export function profileUrl(profile) {
+    return ID_PATTERN.test(profile) ? `${PROFILE_DIRECTORY}/${profile}.json` : profile;
+}
+
+/**
+ * Fetch, validate and complete an experience profile
+ * @param {string} profile - Id or URL, see profileUrl()
+ * @returns {Promise<Object>} The resolved profile
+ */
+export async function loadExperienceProfile(profile) {
+    const url = profileUrl(profile);
+    
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new Error(`Could not fetch experience profile ${url}: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new Error(`Could not fetch experience profile ${url}: HTTP ${response.status}`);
+    }
+    
+    let data;
+    try {
+        data = await response.json();
+    } catch (error) {
+        throw new ExperienceProfileError(url, [`not valid JSON (${error.message})`]);
+    }
+    
+    const errors = validateExperienceProfile(data);
+    if (ID_PATTERN.test(profile) && data && data.id !== profile) {
+        errors.push(`asked for "${profile}" but the file says "id": ${JSON.stringify(data.id)}`);
+    }
+    if (errors.length > 0) {
+        throw new ExperienceProfileError(url, errors);
+    }
+    
+    console.log(`Loaded experience profile "${data.id}" from ${url} (${data.name})`);
+    return resolveExperienceProfile(data);
+}
+
+/**
+ * Load every profile listed in a directory's index.json, in the listed order.
+ * index.json is { "profiles": ["v12", "v11", ...] }, each id a <id>.json next to it.
+ * A broken profile doesn't stop the others loading.
+ * @param {string} [directory] - Defaults to content/profiles
+ * @returns {Promise<{profiles: Object[], errors: Error[]}>} The profiles that loaded, and what went wrong with the rest
+ */
+export async function listExperienceProfiles(directory = PROFILE_DIRECTORY) {
+    const url = `${directory}/index.json`;
+    
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new Error(`Could not fetch profile list ${url}: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new Error(`Could not fetch profile list ${url}: HTTP ${response.status}`);
+    }
+    
+    let index;
+    try {
+        index = await response.json();
+    } catch (error) {
+        throw new ExperienceProfileError(url, [`not valid JSON (${error.message})`]);
+    }
+    if (!index || !Array.isArray(index.profiles) || index.profiles.some(id => typeof id !== 'string' || !ID_PATTERN.test(id))) {
+        throw new ExperienceProfileError(url, ['"profiles" must be an array of profile ids']);
+    }
+    
+    const results = await Promise.allSettled(index.profiles.map(async (id) => {
+        const profile = await loadExperienceProfile(`${directory}/${id}.json`);
+        if (profile.id !== id) {
+            throw new ExperienceProfileError(`${directory}/${id}.json`, [`"id" is "${profile.id}", not "${id}" like its file name`]);
+        }
+        return profile;
+    }));
+    
+    return {
+        profiles: results.filter(result => result.status === 'fulfilled').map(result => result.value),
+        errors: results.filter(result => result.status === 'rejected').map(result => result.reason)
+    };
+}
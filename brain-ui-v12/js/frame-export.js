@@ -0,0 +1,210 @@
+/**
+ * Frame Export
+ * Renders the explosion and reveal offline for trailers. The viewer's virtual
+ * clock is stepped a fixed 1/fps at a time instead of following the wall
+ * clock, so every frame lands at an exact time and the same seed always gives
+ * the same frames. Frames go into a zip of PNGs, or a WebM via MediaRecorder.
+ */
+
+import { createZip } from './zip.js';
+import { canvasToBlob } from './image-capture.js';
+
+export const EXPORT_FORMATS = {
+    png: { extension: 'zip' },
+    webm: { extension: 'webm' }
+};
+
+/**
+ * Whether this browser can record the canvas to WebM
+ * @returns {boolean}
+ */
+export function canRecordWebM() {
+    return typeof MediaRecorder !== 'undefined' &&
+        typeof HTMLCanvasElement !== 'undefined' &&
+        typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+        MediaRecorder.isTypeSupported('video/webm');
+}
+
+/**
+ * Save a Blob through a temporary download link
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export class FrameExporter {
+    /**
+     * @param {BrainViewer} viewer
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.running = false;
+        this.cancelled = false;
+    }
+    
+    /**
+     * Render the explosion and reveal from the start
+     * @param {Object} [options]
+     * @param {number} [options.width=1920]
+     * @param {number} [options.height=1080]
+     * @param {number} [options.fps=30]
+     * @param {string} [options.format='png'] - 'png' or 'webm' (see EXPORT_FORMATS)
+     * @param {number} [options.duration] - Timeline ms to render; defaults to the end of the reveal plus `hold`
+     * @param {number} [options.hold=1000] - Timeline ms to keep rendering after the reveal ends
+     * @param {function(number, number)} [options.onProgress] - Called with (frames done, total frames)
+     * @returns {Promise<Blob>} The zip or the video
+     */
+    async export({ width = 1920, height = 1080, fps = 30, format = 'png', duration = null, hold = 1000, onProgress = null } = {}) {
+        if (this.running) {
+            throw new Error('An export is already running');
+        }
+        if (!EXPORT_FORMATS[format]) {
+            throw new Error(`Unknown export format "${format}" - use ${Object.keys(EXPORT_FORMATS).join(' or ')}`);
+        }
+        if (format === 'webm' && !canRecordWebM()) {
+            throw new Error('This browser cannot record WebM - export PNG frames instead');
+        }
+        
+        const viewer = this.viewer;
+        const renderer = viewer.renderer;
+        const canvas = renderer.domElement;
+        const frameTime = 1000 / fps;
+        
+        this.running = true;
+        this.cancelled = false;
+        const saved = this.prepare(width, height, fps);
+        
+        try {
+            // Explode-only, so the reveal runs without anyone dragging pieces home
+            viewer.explodeAllPieces();
+            const total = duration !== null ? duration : viewer.timeline.duration + hold;
+            
+            // The timeline runs at the speed slider's scale - count frames in real (virtual clock) time
+            const frameCount = Math.ceil(total / viewer.timeline.timeScale / frameTime) + 1;
+            console.log(`?? Exporting ${frameCount} frames at ${width}x${height}, ${fps} fps (${format})`);
+            
+            const recording = format === 'webm' ? this.startRecording(canvas) : null;
+            const files = [];
+            
+            for (let frame = 0; frame < frameCount; frame++) {
+                if (this.cancelled) throw new Error('Export cancelled');
+                
+                viewer.renderFrame(frame === 0 ? 0 : frameTime);
+                
+                if (recording) {
+                    // MediaRecorder stamps frames with the real clock, so hand them over at the frame rate
+                    recording.track.requestFrame();
+                    await new Promise(resolve => setTimeout(resolve, frameTime));
+                } else {
+                    const blob = await canvasToBlob(canvas);
+                    const name = `frame-${String(frame).padStart(5, '0')}.png`;
+                    files.push({ name, data: new Uint8Array(await blob.arrayBuffer()) });
+                }
+                
+                if (onProgress) onProgress(frame + 1, frameCount);
+            }
+            
+            const result = recording ? await recording.stop() : createZip(files);
+            console.log(`?? Export finished: ${(result.size / 1048576).toFixed(1)} MB`);
+            return result;
+        } finally {
+            this.restore(saved);
+            this.running = false;
+        }
+    }
+    
+    cancel() {
+        this.cancelled = true;
+    }
+    
+    /**
+     * Take the render loop over and put the scene in its starting state:
+     * puzzle in one piece, camera home, clock and Matrix rain at zero
+     */
+    prepare(width, height, fps) {
+        const viewer = this.viewer;
+        const renderer = viewer.renderer;
+        const saved = {
+            pixelRatio: renderer.getPixelRatio(),
+            playMode: viewer.playMode,
+            paused: viewer.paused,
+            autoRotateSpeed: viewer.controls.autoRotateSpeed,
+            qualityTier: viewer.quality.index
+        };
+        
+        viewer.stopAttractLoop();
+        viewer.frameExport = this; // animate() stands aside while this is set
+        
+        // Frames take as long as they take, so always the best quality tier
+        viewer.quality.setTier(0);
+        viewer.restart();
+        viewer.playMode = false;
+        viewer.paused = false;
+        viewer.resetClock();
+        
+        // Auto-rotate turns a fixed step per render - scale it to the export frame rate
+        viewer.controls.autoRotateSpeed = saved.autoRotateSpeed * 60 / fps;
+        
+        renderer.setPixelRatio(1);
+        renderer.setSize(width, height, false);
+        viewer.camera.aspect = width / height;
+        viewer.camera.updateProjectionMatrix();
+        
+        return saved;
+    }
+    
+    restore(saved) {
+        const viewer = this.viewer;
+        const renderer = viewer.renderer;
+        
+        viewer.frameExport = null;
+        renderer.setPixelRatio(saved.pixelRatio);
+        viewer.onWindowResize(); // Back to the window size
+        viewer.controls.autoRotateSpeed = saved.autoRotateSpeed;
+        
+        viewer.restart();
+        viewer.quality.setTier(saved.qualityTier);
+        viewer.playMode = saved.playMode;
+        viewer.paused = saved.paused;
+        viewer.updatePuzzleProgress();
+    }
+    
+    /**
+     * Record the canvas, one frame per requestFrame()
+     * @returns {{track: CanvasCaptureMediaStreamTrack, stop: function(): Promise<Blob>}}
+     */
+    startRecording(canvas) {
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const mimeType = MediaRecorder.isTypeSupported('video/webm;codecs=vp9') ? 'video/webm;codecs=vp9' : 'video/webm';
+        const recorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: 12000000
+        });
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        recorder.start();
+        
+        return {
+            track,
+            stop: () => new Promise((resolve) => {
+                recorder.onstop = () => {
+                    track.stop();
+                    resolve(new Blob(chunks, { type: 'video/webm' }));
+                };
+                recorder.stop();
+            })
+        };
+    }
+}
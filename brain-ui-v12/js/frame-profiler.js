@@ -0,0 +1,141 @@
+/**
+ * Frame Profiler
+ * Times each phase of animate() frame by frame, keeps the last few hundred
+ * frames with the renderer's counters, and sums them up for the debug HUD or
+ * a JSON download - so "fixed jitter" can be measured rather than eyeballed.
+ *
+ * Phases are marked in order: each mark() charges the time since the last
+ * one to its phase. Times are CPU time on the main thread; the GPU's share of
+ * a frame only shows up in the gap between frames (the frame delta).
+ */
+
+// animate() phases, in the order they run
+export const PROFILE_PHASES = {
+    uniforms: 'Shader time uniforms',
+    matrix: 'Matrix rain canvas',
+    pieces: 'Timeline: piece animation and reveal stages',
+    controls: 'Camera controls, hover and region labels',
+    render: 'renderer.render()'
+};
+
+export class FrameProfiler {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.capacity=600] - Frames kept (10 s at 60 fps)
+     */
+    constructor({ capacity = 600 } = {}) {
+        this.capacity = capacity;
+        this.frames = [];
+        this.frame = null; // The frame being timed
+        this.last = 0;
+    }
+    
+    /**
+     * @param {number} delta - Real ms since the previous frame started
+     */
+    beginFrame(delta) {
+        const now = performance.now();
+        this.frame = { start: now, delta, phases: {} };
+        this.last = now;
+    }
+    
+    /**
+     * Charge the time since the last mark to a phase. Does nothing outside a
+     * frame, e.g. while the frame export drives the clock.
+     * @param {string} phase - One of PROFILE_PHASES
+     */
+    mark(phase) {
+        if (!this.frame) return;
+        const now = performance.now();
+        this.frame.phases[phase] = (this.frame.phases[phase] || 0) + now - this.last;
+        this.last = now;
+    }
+    
+    /**
+     * @param {Object} info - renderer.info, read straight after the frame's render
+     */
+    endFrame(info) {
+        const frame = this.frame;
+        if (!frame) return;
+        this.frame = null;
+        
+        frame.work = performance.now() - frame.start;
+        frame.calls = info.render.calls;
+        frame.triangles = info.render.triangles;
+        this.frames.push(frame);
+        if (this.frames.length > this.capacity) this.frames.shift();
+    }
+    
+    clear() {
+        this.frames = [];
+    }
+    
+    /**
+     * The most recent frames, oldest first
+     * @param {number} [count]
+     * @returns {Object[]}
+     */
+    recent(count = this.capacity) {
+        return this.frames.slice(-count);
+    }
+    
+    /**
+     * Mean, median, 95th percentile and worst of each timing
+     * @param {number} [count] - Only the most recent frames
+     * @returns {{frames: number, fps: number, delta: Object, work: Object, phases: Object}}
+     */
+    summary(count) {
+        const frames = this.recent(count);
+        const deltas = frames.map(frame => frame.delta).filter(delta => delta > 0);
+        const meanDelta = deltas.length ? deltas.reduce((sum, delta) => sum + delta, 0) / deltas.length : 0;
+        
+        const phases = {};
+        Object.keys(PROFILE_PHASES).forEach((phase) => {
+            phases[phase] = stats(frames.map(frame => frame.phases[phase] || 0));
+        });
+        
+        return {
+            frames: frames.length,
+            fps: meanDelta > 0 ? 1000 / meanDelta : 0,
+            delta: stats(deltas),
+            work: stats(frames.map(frame => frame.work)),
+            phases
+        };
+    }
+    
+    /**
+     * Everything kept, ready for JSON.stringify()
+     * @param {Object} [context] - Extra fields for the top of the profile (viewer settings etc.)
+     * @returns {Object}
+     */
+    toJSON(context = {}) {
+        const round = value => Math.round(value * 1000) / 1000;
+        return {
+            ...context,
+            phases: PROFILE_PHASES,
+            summary: this.summary(),
+            frames: this.frames.map(frame => ({
+                delta: round(frame.delta),
+                work: round(frame.work),
+                phases: Object.fromEntries(Object.entries(frame.phases).map(([phase, time]) => [phase, round(time)])),
+                calls: frame.calls,
+                triangles: frame.triangles
+            }))
+        };
+    }
+}
+
+// ms statistics for a list of timings
+function stats(values) {
+    if (values.length === 0) return { mean: 0, p50: 0, p95: 0, max: 0 };
+    
+    const sorted = values.slice().sort((a, b) => a - b);
+    const at = share => sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+    const round = value => Math.round(value * 1000) / 1000;
+    return {
+        mean: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+        p50: round(at(0.5)),
+        p95: round(at(0.95)),
+        max: round(sorted[sorted.length - 1])
+    };
+}
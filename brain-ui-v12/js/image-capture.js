@@ -0,0 +1,107 @@
+/**
+ * Image Capture
+ * Renders the scene offscreen at any size for screenshots and print posters.
+ * Big images are drawn in tiles with camera.setViewOffset(), so the size is
+ * limited by the 2D canvas the tiles go into, not by the GPU's texture size.
+ */
+
+const MAX_TILE = 2048;
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} [type='image/png']
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not read the image from the canvas'))), type);
+    });
+}
+
+/**
+ * Render a camera's view into a new 2D canvas
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Scene} scene
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {Object} options
+ * @param {number} options.width - Pixels
+ * @param {number} options.height - Pixels
+ * @param {boolean} [options.transparent=false] - Leave out the background
+ * @returns {HTMLCanvasElement}
+ */
+export function renderImage(renderer, scene, camera, { width, height, transparent = false }) {
+    width = Math.round(width);
+    height = Math.round(height);
+    if (!(width > 0 && height > 0)) {
+        throw new Error(`Image size must be positive, got ${width}x${height}`);
+    }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+        throw new Error(`The browser can't make a ${width}x${height} image - try a smaller size`);
+    }
+    
+    const capabilities = renderer.capabilities;
+    const tileSize = Math.min(MAX_TILE, capabilities.maxTextureSize);
+    const tileWidth = Math.min(width, tileSize);
+    const tileHeight = Math.min(height, tileSize);
+    
+    // Multisampled where WebGL 2 allows, so edges match the antialiased screen
+    const targetOptions = { format: THREE.RGBAFormat, encoding: renderer.outputEncoding };
+    const target = capabilities.isWebGL2 && THREE.WebGLMultisampleRenderTarget
+        ? new THREE.WebGLMultisampleRenderTarget(tileWidth, tileHeight, targetOptions)
+        : new THREE.WebGLRenderTarget(tileWidth, tileHeight, targetOptions);
+    const pixels = new Uint8Array(tileWidth * tileHeight * 4);
+    
+    const saved = {
+        target: renderer.getRenderTarget(),
+        clearColor: renderer.getClearColor(new THREE.Color()),
+        clearAlpha: renderer.getClearAlpha(),
+        background: scene.background,
+        aspect: camera.aspect
+    };
+    
+    try {
+        if (transparent) {
+            scene.background = null;
+            renderer.setClearColor(0x000000, 0);
+        }
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        
+        for (let y = 0; y < height; y += tileHeight) {
+            for (let x = 0; x < width; x += tileWidth) {
+                const w = Math.min(tileWidth, width - x);
+                const h = Math.min(tileHeight, height - y);
+                
+                camera.setViewOffset(width, height, x, y, w, h);
+                target.setSize(w, h);
+                renderer.setRenderTarget(target);
+                renderer.clear();
+                renderer.render(scene, camera);
+                renderer.readRenderTargetPixels(target, 0, 0, w, h, pixels);
+                
+                // WebGL rows run bottom to top
+                const image = ctx.createImageData(w, h);
+                for (let row = 0; row < h; row++) {
+                    const from = (h - 1 - row) * w * 4;
+                    image.data.set(pixels.subarray(from, from + w * 4), row * w * 4);
+                }
+                ctx.putImageData(image, x, y);
+            }
+        }
+    } finally {
+        renderer.setRenderTarget(saved.target);
+        renderer.setClearColor(saved.clearColor, saved.clearAlpha);
+        scene.background = saved.background;
+        camera.clearViewOffset();
+        camera.aspect = saved.aspect;
+        camera.updateProjectionMatrix();
+        target.dispose();
+    }
+    
+    return canvas;
+}
@@ -3,7 +3,27 @@
  * Initializes the 3D viewer
  */
 
-import { BrainViewer } from './viewer.js';
+import { HashRouter, parseHash } from './router.js';
+import { AssetLoader, loadAssetManifest } from './asset-loader.js';
+
+const ASSET_ICONS = { pending: '⏳', loading: '⏳', loaded: '✅', failed: '❌' };
+
+/**
+ * One line per asset on the loading screen
+ */
+function showAssetStatus(list, asset) {
+    if (!list) return;
+    
+    let item = list.querySelector(`[data-asset="${asset.id}"]`);
+    if (!item) {
+        item = document.createElement('li');
+        item.dataset.asset = asset.id;
+        list.appendChild(item);
+    }
+    const icon = asset.state === 'failed' && asset.optional ? '⚠️' : ASSET_ICONS[asset.state];
+    item.textContent = `${icon} ${asset.id}${asset.message ? ` - ${asset.message}` : ''}`;
+    item.className = `asset-${asset.state}`;
+}
 
 // Wait for DOM to be ready
 document.addEventListener('DOMContentLoaded', async () => {
@@ -11,33 +31,54 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     const loadingScreen = document.getElementById('loading-screen');
     const errorMsg = document.getElementById('loading-text') || loadingScreen.querySelector('p');
-    
-    // Set a timeout to show error if loading takes too long
-    const loadingTimeout = setTimeout(() => {
-        if (loadingScreen && !loadingScreen.classList.contains('hidden')) {
-            if (errorMsg) {
-                errorMsg.textContent = 'Loading is taking longer than expected. Please check your connection and refresh.';
-                errorMsg.style.color = '#ff4444';
-            }
-        }
-    }, 30000); // 30 second timeout
+    const assetList = document.getElementById('loading-assets');
     
     try {
-        // Initialize viewer
-        const viewer = new BrainViewer('container');
+        // Three.js, the model and textures come from content/assets.json - bundled
+        // copies first, the CDN second - each with its own timeout and status line
+        const assets = new AssetLoader(await loadAssetManifest(), {
+            onStatus: asset => showAssetStatus(assetList, asset)
+        });
+        await assets.loadScripts();
+        
+        // The viewer modules use THREE as they load, so they can only come in now
+        const { BrainViewer } = await import('./viewer.js');
         
-        // Load brain model with timeout
-        const loadPromise = viewer.loadBrainModel();
-        const timeoutPromise = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Model loading timeout after 20 seconds')), 20000)
-        );
+        // Initialize viewer - ?routes=<manifest.json> swaps the region content set,
+        // ?mapping=spherical|cube changes how pieces are laid over the brain,
+        // ?attract=1 loops the explosion and reassembly for kiosks,
+        // ?profile=v11 (or a .json URL) picks the experience - see experience-profile.js,
+        // ?brain=procedural uses the built-in brain instead of public/brain.glb,
+        // ?quality=ultra|high|medium|low|minimal holds a quality tier (default: adapts
+        // to hold ?fps=, 50 unless given), ?debug=1 shows the debug HUD (or press `).
+        // A seed in the link is used from the start so the puzzle isn't built twice.
+        const pageParams = new URLSearchParams(window.location.search);
+        const viewer = new BrainViewer('container', {
+            profile: pageParams.get('profile'),
+            routesManifest: pageParams.get('routes'),
+            pieceMapping: pageParams.get('mapping'),
+            brain: pageParams.get('brain'),
+            quality: pageParams.get('quality'),
+            targetFps: parseInt(pageParams.get('fps'), 10) || undefined,
+            debug: pageParams.get('debug') === '1',
+            seed: parseHash(window.location.hash).params.seed,
+            assets
+        });
         
-        await Promise.race([loadPromise, timeoutPromise]);
-        clearTimeout(loadingTimeout);
+        // Load brain model - the built-in brain stands in if the file is missing or broken
+        await viewer.loadBrainModel();
         
         // Start animation loop
         viewer.start();
         
+        // Restore region and settings from the URL, then follow hash changes
+        const router = new HashRouter(viewer);
+        router.start();
+        
+        if (pageParams.get('attract') === '1') {
+            viewer.startAttractLoop();
+        }
+        
         // Hide loading screen
         setTimeout(() => {
             loadingScreen.classList.add('hidden');
@@ -45,14 +86,16 @@ document.addEventListener('DOMContentLoaded', async () => {
         
         // Store globally for debugging
         window.brainApp = {
-            viewer
+            viewer,
+            router,
+            assets
         };
         
     } catch (error) {
-        clearTimeout(loadingTimeout);
         const errorText = error.message || 'Failed to load brain model. Please refresh the page.';
         if (errorMsg) {
             errorMsg.textContent = `Error: ${errorText}`;
+            errorMsg.style.whiteSpace = 'pre-line'; // Manifest errors come one per line
             errorMsg.style.color = '#ff4444';
             errorMsg.style.fontWeight = 'bold';
         }
@@ -64,12 +107,6 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 });
 
-// Handle hash changes for navigation
-window.addEventListener('hashchange', () => {
-    console.log('Route changed:', window.location.hash);
-    // Handle route changes here if needed
-});
-
 // Prevent context menu on long press (mobile)
 document.addEventListener('contextmenu', (e) => {
     e.preventDefault();
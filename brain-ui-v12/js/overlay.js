@@ -9,6 +9,11 @@ export class PuzzleOverlay {
     constructor(viewer) {
         this.viewer = viewer;
         this.tooltipElement = null;
+        this.indicators = [];
+        this.labelsVisible = true;
+        this.occlusionRaycaster = new THREE.Raycaster();
+        this.occlusionInterval = 200; // ms between occlusion raycasts
+        this.lastOcclusionCheck = 0;
         this.createTooltip();
     }
 
@@ -36,14 +41,14 @@ export class PuzzleOverlay {
         const route = getRouteInfo(pieceId);
         if (!route) return;
 
-        this.tooltipElement.innerHTML = `
-            <strong style="display: block; margin-bottom: 5px; font-size: 16px;">
-                ${route.title}
-            </strong>
-            <span style="font-size: 12px; color: #ccc;">
-                ${route.description}
-            </span>
-        `;
+        // Route text may come from a manifest, so never as HTML
+        const title = document.createElement('strong');
+        title.style.cssText = 'display: block; margin-bottom: 5px; font-size: 16px;';
+        title.textContent = route.title;
+        const description = document.createElement('span');
+        description.style.cssText = 'font-size: 12px; color: #ccc;';
+        description.textContent = route.description;
+        this.tooltipElement.replaceChildren(title, description);
 
         // Position tooltip near cursor/touch
         const offsetX = 15;
@@ -71,24 +76,47 @@ export class PuzzleOverlay {
 
     /**
      * Add visual indicators for puzzle pieces
-     * Creates small markers/labels around the brain
+     * One label per brain region covered by the current pieces,
+     * pinned to the brain surface and re-projected every frame
      */
     addVisualIndicators() {
-        const indicators = [];
-        
-        this.viewer.puzzlePieces.forEach((piece, index) => {
-            const indicator = this.createIndicator(piece);
-            indicators.push(indicator);
+        this.removeIndicators();
+
+        const routeIds = new Set();
+        this.viewer.jigsawPieces.forEach((piece) => {
+            if (!piece.userData.isEmpty && piece.userData.routeId) {
+                routeIds.add(piece.userData.routeId);
+            }
         });
 
-        return indicators;
+        routeIds.forEach((routeId) => {
+            const indicator = this.createIndicator(routeId);
+            if (indicator) {
+                this.indicators.push(indicator);
+            }
+        });
+
+        // Profiles with pieceNumbers (v10) also label every piece with its index
+        if (this.viewer.profile.pieceNumbers) {
+            this.viewer.jigsawPieces.forEach((piece) => {
+                if (!piece.userData.isEmpty) {
+                    this.indicators.push(this.createPieceNumber(piece));
+                }
+            });
+        }
+
+        // Run the occlusion test on the next frame
+        this.lastOcclusionCheck = 0;
+
+        return this.indicators;
     }
 
-    createIndicator(piece) {
-        const route = piece.userData.route;
-        
-        // Create CSS2D label (if using CSS2DRenderer)
-        // For simplicity, we'll use HTML overlay positioned manually
+    createIndicator(routeId) {
+        const route = getRouteInfo(routeId);
+        const position = this.viewer.getRegionSurfacePoint(routeId);
+        if (!route || !position) return null;
+
+        // HTML overlay positioned manually from the projected 3D point
         const label = document.createElement('div');
         label.className = 'puzzle-indicator';
         label.style.cssText = `
@@ -100,31 +128,118 @@ export class PuzzleOverlay {
             font-size: 12px;
             font-weight: 600;
             pointer-events: none;
-            opacity: 0.7;
+            opacity: 0;
             transition: opacity 0.3s ease;
+            transform: translate(-50%, -50%);
+            text-shadow: 0 1px 2px rgba(0, 0, 0, 0.5);
+            white-space: nowrap;
+            z-index: 5;
         `;
         label.textContent = route.title;
-        
-        // Position based on 3D coordinates (requires projection)
-        this.updateIndicatorPosition(label, piece);
-        
         document.body.appendChild(label);
-        
-        return label;
+
+        const indicator = { routeId, label, position, occluded: false };
+        this.updateIndicatorPosition(indicator);
+
+        return indicator;
     }
 
-    updateIndicatorPosition(label, piece) {
+    /**
+     * Number label that follows a piece around, explosion included
+     */
+    createPieceNumber(piece) {
+        const label = document.createElement('div');
+        label.className = 'puzzle-indicator piece-number';
+        label.style.cssText = `
+            position: absolute;
+            background: rgba(0, 0, 0, 0.7);
+            color: #0f0;
+            padding: 2px 6px;
+            border-radius: 4px;
+            font-family: monospace;
+            font-size: 11px;
+            pointer-events: none;
+            opacity: 0;
+            transform: translate(-50%, -50%);
+            z-index: 5;
+        `;
+        label.textContent = String(piece.userData.pieceIndex);
+        document.body.appendChild(label);
+
+        const indicator = { piece, label, position: new THREE.Vector3(), occluded: false };
+        this.updateIndicatorPosition(indicator);
+
+        return indicator;
+    }
+
+    /**
+     * Called every frame from BrainViewer.animate()
+     */
+    updateIndicators() {
+        if (this.indicators.length === 0) return;
+
+        // Raycasting against the brain is the expensive part - throttle it
+        const now = Date.now();
+        const checkOcclusion = this.labelsVisible && now - this.lastOcclusionCheck >= this.occlusionInterval;
+        if (checkOcclusion) {
+            this.lastOcclusionCheck = now;
+        }
+
+        this.viewer.camera.updateMatrixWorld();
+        this.indicators.forEach(indicator => this.updateIndicatorPosition(indicator, checkOcclusion));
+    }
+
+    /**
+     * @param {Object} indicator
+     * @param {boolean} [checkOcclusion=false] - Raycast from this frame's position before showing it
+     */
+    updateIndicatorPosition(indicator, checkOcclusion = false) {
+        // Piece numbers sit on the middle of their piece, wherever it is
+        if (indicator.piece) {
+            const geometry = indicator.piece.geometry;
+            if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+            indicator.position.copy(geometry.boundingSphere.center).applyMatrix4(indicator.piece.matrixWorld);
+        }
+        if (checkOcclusion) {
+            indicator.occluded = this.isOccluded(indicator.position);
+        }
+
         // Project 3D position to screen coordinates
-        const vector = new THREE.Vector3();
-        piece.getWorldPosition(vector);
-        vector.project(this.viewer.camera);
+        const vector = indicator.position.clone().project(this.viewer.camera);
+        const onScreen = vector.z < 1 && Math.abs(vector.x) <= 1 && Math.abs(vector.y) <= 1;
 
         const x = (vector.x * 0.5 + 0.5) * window.innerWidth;
         const y = (-vector.y * 0.5 + 0.5) * window.innerHeight;
 
-        label.style.left = `${x}px`;
-        label.style.top = `${y}px`;
-        label.style.transform = 'translate(-50%, -50%)';
+        indicator.label.style.left = `${x}px`;
+        indicator.label.style.top = `${y}px`;
+        const hidden = indicator.piece && !indicator.piece.visible;
+        indicator.label.style.opacity = this.labelsVisible && onScreen && !indicator.occluded && !hidden ? '0.85' : '0';
+    }
+
+    /**
+     * True when the brain is between the camera and the point
+     */
+    isOccluded(point) {
+        const origin = this.viewer.camera.position;
+        const direction = point.clone().sub(origin);
+        const distance = direction.length();
+
+        this.occlusionRaycaster.set(origin, direction.normalize());
+        this.occlusionRaycaster.far = distance;
+
+        return this.occlusionRaycaster.intersectObjects(this.viewer.brainMeshes, false).length > 0;
+    }
+
+    setLabelsVisible(visible) {
+        this.labelsVisible = visible;
+        this.lastOcclusionCheck = 0;
+        this.indicators.forEach(indicator => this.updateIndicatorPosition(indicator));
+    }
+
+    removeIndicators() {
+        this.indicators.forEach(indicator => indicator.label.remove());
+        this.indicators = [];
     }
 
     colorToCSS(hexColor) {
@@ -151,6 +266,6 @@ export class PuzzleOverlay {
         }
         
         // Remove all indicators
-        document.querySelectorAll('.puzzle-indicator').forEach(el => el.remove());
+        this.removeIndicators();
     }
 }
@@ -0,0 +1,209 @@
+/**
+ * Piece Mapping
+ * Decides which puzzle grid cell each point of the brain surface falls in.
+ *
+ * - planar:    the original flat XY projection (front and back share cells)
+ * - spherical: equal-area projection of the direction from the brain centre,
+ *              so every patch gets exactly one cell and cells keep similar area
+ * - cube:      direction projected onto the faces of a cube around the brain,
+ *              faces laid out 3x2 over the grid. Face borders fall on whole
+ *              cells (see getCubeSplits) and are straight edges, as the face
+ *              next door in the layout isn't the one across the cube's edge.
+ *
+ * The JavaScript and GLSL versions below must stay in step - the shader draws
+ * the pieces and the JavaScript side picks and measures them.
+ */
+
+export const MAPPING_MODES = ['planar', 'spherical', 'cube'];
+
+// Cube face -> slot in the 3x2 layout. The front, sides and back run
+// round the brain along the top row so most neighbouring faces touch.
+const CUBE_SLOTS = [
+    [2, 1], // +x
+    [0, 1], // -x
+    [0, 0], // +y
+    [2, 0], // -y
+    [1, 1], // +z (front)
+    [1, 0]  // -z (back)
+];
+
+/**
+ * Where the cube faces meet in the grid: two column borders and one row
+ * border, rounded to whole cells so every face border is a cell edge. With
+ * fewer than 3 columns the faces can't each have one, so they split cells.
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {{cols: number[], row: number}}
+ */
+export function getCubeSplits(rows, cols) {
+    const columns = cols >= 3 ? [Math.round(cols / 3), Math.round(cols * 2 / 3)] : [cols / 3, cols * 2 / 3];
+    return { cols: columns, row: Math.round(rows / 2) };
+}
+
+/**
+ * Grid lines the puzzle must not put tabs or blanks across: the cube's face
+ * borders. Empty for the other mappings, whose grid is continuous.
+ * @param {string} mode - One of MAPPING_MODES
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {{cols: number[], rows: number[]}} Column and row indices with a straight edge before them
+ */
+export function getMappingSeams(mode, rows, cols) {
+    if (mode !== 'cube') return { cols: [], rows: [] };
+    
+    const splits = getCubeSplits(rows, cols);
+    return {
+        cols: splits.cols.filter(Number.isInteger),
+        rows: [splits.row]
+    };
+}
+
+/**
+ * Check a mapping mode, falling back to planar
+ * @param {string} [mode]
+ * @returns {string}
+ */
+export function resolveMappingMode(mode) {
+    if (!mode) return 'planar';
+    if (MAPPING_MODES.includes(mode)) return mode;
+    
+    console.warn(`Unknown piece mapping "${mode}" - using planar`);
+    return 'planar';
+}
+
+/**
+ * Centre and half size of a piece's home-space bounds.
+ * Spherical and cube mapping measure directions from this ellipsoid.
+ * @param {THREE.BufferGeometry} geometry
+ * @param {THREE.Matrix4} homeMatrix
+ * @returns {{center: THREE.Vector3, halfSize: THREE.Vector3}}
+ */
+export function createMappingFrame(geometry, homeMatrix) {
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    const box = geometry.boundingBox.clone().applyMatrix4(homeMatrix);
+    
+    const halfSize = box.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+    // Flat meshes would divide by zero
+    halfSize.max(new THREE.Vector3(1e-4, 1e-4, 1e-4));
+    
+    return {
+        center: box.getCenter(new THREE.Vector3()),
+        halfSize
+    };
+}
+
+/**
+ * Map a home-space point to grid coordinates: x in columns, y in rows.
+ * floor() of the result is the cell; the fraction is the spot inside it.
+ * @param {THREE.Vector3} point - Home world-space position
+ * @param {string} mode - One of MAPPING_MODES
+ * @param {{center: THREE.Vector3, halfSize: THREE.Vector3}|null} frame - From createMappingFrame (unused for planar)
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {{x: number, y: number}}
+ */
+export function mapToGrid(point, mode, frame, rows, cols) {
+    if (mode === 'planar' || !frame) {
+        return {
+            x: (point.x + 1.5) / 3.0 * cols,
+            y: (point.y + 1.5) / 3.0 * rows
+        };
+    }
+    
+    const dx = (point.x - frame.center.x) / frame.halfSize.x;
+    const dy = (point.y - frame.center.y) / frame.halfSize.y;
+    const dz = (point.z - frame.center.z) / frame.halfSize.z;
+    
+    if (mode === 'spherical') {
+        const length = Math.hypot(dx, dy, dz) || 1;
+        // Seam at the back of the brain; y maps linearly for equal area
+        const u = Math.atan2(dx / length, dz / length) / (2 * Math.PI) + 0.5;
+        const v = (dy / length + 1) / 2;
+        return { x: u * cols, y: Math.min(v, 0.999999) * rows };
+    }
+    
+    // cube
+    const ax = Math.abs(dx);
+    const ay = Math.abs(dy);
+    const az = Math.abs(dz);
+    let face, s, t;
+    if (ax >= ay && ax >= az) {
+        face = dx >= 0 ? 0 : 1;
+        s = (dx >= 0 ? -dz : dz) / (ax || 1);
+        t = dy / (ax || 1);
+    } else if (ay >= az) {
+        face = dy >= 0 ? 2 : 3;
+        s = dx / ay;
+        t = (dy >= 0 ? -dz : dz) / ay;
+    } else {
+        face = dz >= 0 ? 4 : 5;
+        s = (dz >= 0 ? dx : -dx) / az;
+        t = dy / az;
+    }
+    
+    // Equal-angle warp evens out cell sizes across each face
+    const u = (Math.atan(s) * 4 / Math.PI + 1) / 2;
+    const v = (Math.atan(t) * 4 / Math.PI + 1) / 2;
+    const [slotX, slotY] = CUBE_SLOTS[face];
+    
+    // The face's block of cells
+    const splits = getCubeSplits(rows, cols);
+    const columnEdges = [0, ...splits.cols, cols];
+    const rowEdges = [0, splits.row, rows];
+    const left = columnEdges[slotX];
+    const top = rowEdges[slotY];
+    return {
+        x: left + Math.min(u, 0.999999) * (columnEdges[slotX + 1] - left),
+        y: top + Math.min(v, 0.999999) * (rowEdges[slotY + 1] - top)
+    };
+}
+
+/**
+ * GLSL version of mapToGrid for the piece shader.
+ * Needs a MAPPING define (0 planar, 1 spherical, 2 cube) and
+ * mappingCenter / mappingScale uniforms.
+ */
+export const MAPPING_GLSL = `
+    uniform vec3 mappingCenter;
+    uniform vec3 mappingScale;
+    
+    vec2 mapToGrid(vec3 p, vec2 gridSize) {
+    #if MAPPING == 0
+        return (p.xy + 1.5) / 3.0 * gridSize;
+    #else
+        vec3 d = (p - mappingCenter) / mappingScale;
+        #if MAPPING == 1
+            vec3 n = d / max(length(d), 1e-6);
+            float u = atan(n.x, n.z) / 6.2831853 + 0.5;
+            float v = (n.y + 1.0) / 2.0;
+            return vec2(u, min(v, 0.999999)) * gridSize;
+        #else
+            vec3 a = abs(d);
+            vec2 st;
+            vec2 slot;
+            if (a.x >= a.y && a.x >= a.z) {
+                st = vec2(d.x >= 0.0 ? -d.z : d.z, d.y) / max(a.x, 1e-6);
+                slot = d.x >= 0.0 ? vec2(2.0, 1.0) : vec2(0.0, 1.0);
+            } else if (a.y >= a.z) {
+                st = vec2(d.x, d.y >= 0.0 ? -d.z : d.z) / a.y;
+                slot = d.y >= 0.0 ? vec2(0.0, 0.0) : vec2(2.0, 0.0);
+            } else {
+                st = vec2(d.z >= 0.0 ? d.x : -d.x, d.y) / a.z;
+                slot = d.z >= 0.0 ? vec2(1.0, 1.0) : vec2(1.0, 0.0);
+            }
+            vec2 uv = min((atan(st) * 4.0 / 3.14159265 + 1.0) / 2.0, vec2(0.999999));
+            
+            // The face's block of cells - same rounding as getCubeSplits()
+            vec2 split1 = vec2(gridSize.x / 3.0, floor(gridSize.y / 2.0 + 0.5));
+            float split2 = gridSize.x * 2.0 / 3.0;
+            if (gridSize.x >= 3.0) {
+                split1.x = floor(split1.x + 0.5);
+                split2 = floor(split2 + 0.5);
+            }
+            vec2 start = vec2(slot.x < 0.5 ? 0.0 : (slot.x < 1.5 ? split1.x : split2), slot.y < 0.5 ? 0.0 : split1.y);
+            vec2 end = vec2(slot.x < 0.5 ? split1.x : (slot.x < 1.5 ? split2 : gridSize.x), slot.y < 0.5 ? split1.y : gridSize.y);
+            return start + uv * (end - start);
+        #endif
+    #endif
+    }
+`;
@@ -0,0 +1,322 @@
+/**
+ * Piece Physics
+ * Small rigid-body integrator for the physics explosion: pieces are thrown
+ * from the impact point, spin, fall under gravity, bounce off the floor, the
+ * brain and each other, then settle.
+ *
+ * Everything runs in world space. Each piece is a rigid body around the centre
+ * of its own geometry (not the mesh origin, which sits in the middle of the brain).
+ */
+
+export const PHYSICS_SETTINGS = {
+    gravity: 4.0,          // World units per second squared
+    restitution: 0.35,     // Bounciness off the floor, the brain and other pieces
+    friction: 0.6,         // Floor friction
+    linearDamping: 0.05,   // Air drag, per second
+    angularDamping: 0.4,
+    rollingDamping: 1.5,   // Extra spin damping while touching the floor, stops endless rocking
+    impulse: 2.5,          // Launch speed near the impact point, world units per second
+    spin: 8,               // Launch spin near the impact point, radians per second
+    sleepSpeed: 0.1,       // Below this (on the floor) a piece starts to settle...
+    sleepTime: 0.5,        // ...and after this many seconds it stops
+    collisionScale: 0.5,   // Pieces are flat - use half their bounding sphere between pieces
+    substep: 1 / 120,      // Fixed step, so results don't depend on frame rate
+    maxSubsteps: 120       // Per step() call - a longer jump (scrubbing ahead) is caught up over the next frames
+};
+
+// Directions used to pick contact points on each piece
+const CONTACT_DIRECTIONS = [
+    [1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1],
+    [1, 1, 1], [1, 1, -1], [1, -1, 1], [1, -1, -1],
+    [-1, 1, 1], [-1, 1, -1], [-1, -1, 1], [-1, -1, -1]
+];
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+export class PiecePhysics {
+    /**
+     * @param {Object} config
+     * @param {number} config.floorY - Height of the ground plane
+     * @param {{center: THREE.Vector3, radii: THREE.Vector3}} [config.obstacle] - Brain volume (ellipsoid)
+     * @param {function(): number} [config.random] - Seeded generator for launch spin
+     * @param {Object} [config.settings] - Overrides for PHYSICS_SETTINGS
+     */
+    constructor({ floorY, obstacle = null, random = Math.random, settings = {} }) {
+        this.floorY = floorY;
+        this.obstacle = obstacle;
+        this.random = random;
+        this.settings = { ...PHYSICS_SETTINGS, ...settings };
+        this.bodies = [];
+        this.accumulator = 0;
+    }
+    
+    /**
+     * Throw a piece away from the impact point
+     * @param {THREE.Mesh} piece
+     * @param {THREE.Vector3} impactPoint - World space
+     */
+    addPiece(piece, impactPoint) {
+        const settings = this.settings;
+        const geometry = piece.geometry;
+        if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+        
+        piece.updateWorldMatrix(true, false);
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        piece.matrixWorld.decompose(position, quaternion, scale);
+        
+        const localCenter = geometry.boundingSphere.center.clone();
+        const center = localCenter.clone().applyMatrix4(piece.matrixWorld);
+        const radius = Math.max(geometry.boundingSphere.radius * Math.max(scale.x, scale.y, scale.z), 1e-3);
+        
+        // Launch: away from the impact, weaker further away, with a little lift
+        const direction = center.clone().sub(impactPoint);
+        const distance = direction.length();
+        if (distance < 1e-4) {
+            direction.set(this.random() - 0.5, this.random() - 0.5, this.random() - 0.5);
+        }
+        direction.normalize();
+        const falloff = 1 / (1 + distance * distance);
+        const speed = settings.impulse * (0.4 + 0.6 * falloff);
+        
+        const velocity = direction.multiplyScalar(speed).addScaledVector(UP, settings.impulse * 0.4);
+        const angularVelocity = new THREE.Vector3(
+            this.random() - 0.5,
+            this.random() - 0.5,
+            this.random() - 0.5
+        ).multiplyScalar(2 * settings.spin * (0.3 + 0.7 * falloff));
+        
+        this.bodies.push({
+            piece,
+            center,
+            quaternion,
+            scale,
+            localCenter,
+            velocity,
+            angularVelocity,
+            radius,
+            invInertia: 1 / (0.4 * radius * radius), // Solid sphere, unit mass
+            contacts: this.findContactPoints(geometry, localCenter),
+            parentInverse: piece.parent ? piece.parent.matrixWorld.clone().invert() : new THREE.Matrix4(),
+            asleep: false,
+            slowTime: 0
+        });
+    }
+    
+    /**
+     * A few extreme vertices of the piece, relative to its centre (local units).
+     * Floor contacts are tested on these, so pieces lie on their real shape.
+     */
+    findContactPoints(geometry, localCenter) {
+        const positions = geometry.attributes.position;
+        const best = CONTACT_DIRECTIONS.map(() => ({ dot: -Infinity, index: -1 }));
+        const vertex = new THREE.Vector3();
+        
+        for (let v = 0; v < positions.count; v++) {
+            vertex.fromBufferAttribute(positions, v).sub(localCenter);
+            CONTACT_DIRECTIONS.forEach(([x, y, z], i) => {
+                const dot = vertex.x * x + vertex.y * y + vertex.z * z;
+                if (dot > best[i].dot) {
+                    best[i].dot = dot;
+                    best[i].index = v;
+                }
+            });
+        }
+        
+        const indices = [...new Set(best.map(entry => entry.index).filter(index => index >= 0))];
+        return indices.map(index => vertex.fromBufferAttribute(positions, index).clone().sub(localCenter));
+    }
+    
+    /**
+     * Advance the simulation
+     * @param {number} delta - Seconds of simulated time (already scaled by the speed slider)
+     */
+    step(delta) {
+        if (this.bodies.length === 0) return;
+        
+        // No time is dropped: the real frame delta is already capped in animate(),
+        // so a fast speed slider gets more substeps rather than a slower simulation
+        this.accumulator += delta;
+        const h = this.settings.substep;
+        let steps = 0;
+        while (this.accumulator >= h && steps < this.settings.maxSubsteps) {
+            this.substep(h);
+            this.accumulator -= h;
+            steps++;
+        }
+        
+        this.bodies.forEach(body => this.applyToPiece(body));
+    }
+    
+    substep(h) {
+        const settings = this.settings;
+        
+        this.bodies.forEach((body) => {
+            if (body.asleep) return;
+            
+            body.velocity.y -= settings.gravity * h;
+            body.velocity.multiplyScalar(Math.max(0, 1 - settings.linearDamping * h));
+            body.angularVelocity.multiplyScalar(Math.max(0, 1 - settings.angularDamping * h));
+            
+            body.center.addScaledVector(body.velocity, h);
+            integrateRotation(body.quaternion, body.angularVelocity, h);
+            
+            const onFloor = this.collideFloor(body);
+            if (onFloor) {
+                body.angularVelocity.multiplyScalar(Math.max(0, 1 - settings.rollingDamping * h));
+            }
+            if (this.obstacle) this.collideObstacle(body);
+            
+            // Settle once slow on the floor for a moment
+            const slow = body.velocity.length() < settings.sleepSpeed &&
+                body.angularVelocity.length() < settings.sleepSpeed * 4;
+            body.slowTime = onFloor && slow ? body.slowTime + h : 0;
+            if (body.slowTime > settings.sleepTime) {
+                body.asleep = true;
+                body.velocity.set(0, 0, 0);
+                body.angularVelocity.set(0, 0, 0);
+            }
+        });
+        
+        this.collidePieces();
+    }
+    
+    /**
+     * Impulse at the deepest contact point under the floor, with friction
+     * @returns {boolean} Whether the piece touches the floor
+     */
+    collideFloor(body) {
+        const settings = this.settings;
+        let deepest = null;
+        let depth = 0;
+        
+        body.contacts.forEach((contact) => {
+            const offset = contact.clone().multiply(body.scale).applyQuaternion(body.quaternion);
+            const penetration = this.floorY - (body.center.y + offset.y);
+            if (penetration > depth) {
+                depth = penetration;
+                deepest = offset;
+            }
+        });
+        if (!deepest) return false;
+        
+        body.center.y += depth;
+        
+        const r = deepest;
+        const pointVelocity = body.velocity.clone().add(body.angularVelocity.clone().cross(r));
+        const normalSpeed = pointVelocity.y;
+        if (normalSpeed >= 0) return true;
+        
+        // No bounce for slow contacts - stops pieces buzzing on the floor
+        const restitution = normalSpeed > -0.2 ? 0 : settings.restitution;
+        const rCrossN = r.clone().cross(UP);
+        const j = -(1 + restitution) * normalSpeed / (1 + body.invInertia * rCrossN.lengthSq());
+        this.applyImpulse(body, r, UP.clone().multiplyScalar(j));
+        
+        // Friction opposes sliding, up to friction * normal impulse
+        const tangent = pointVelocity.clone().addScaledVector(UP, -normalSpeed);
+        const slideSpeed = tangent.length();
+        if (slideSpeed > 1e-6) {
+            tangent.divideScalar(slideSpeed);
+            const rCrossT = r.clone().cross(tangent);
+            let jt = slideSpeed / (1 + body.invInertia * rCrossT.lengthSq());
+            jt = Math.min(jt, settings.friction * j);
+            this.applyImpulse(body, r, tangent.multiplyScalar(-jt));
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Keep pieces out of the brain's ellipsoid
+     */
+    collideObstacle(body) {
+        const { center, radii } = this.obstacle;
+        const reach = body.radius * this.settings.collisionScale;
+        const extent = radii.clone().addScalar(reach);
+        
+        const q = body.center.clone().sub(center).divide(extent);
+        const length = q.length();
+        if (length >= 1 || length < 1e-6) return;
+        
+        // Push out to the surface and bounce off its normal
+        body.center.copy(center).add(q.clone().divideScalar(length).multiply(extent));
+        const normal = q.divide(extent).normalize();
+        const normalSpeed = body.velocity.dot(normal);
+        if (normalSpeed < 0) {
+            body.velocity.addScaledVector(normal, -(1 + this.settings.restitution) * normalSpeed);
+        }
+    }
+    
+    /**
+     * Sphere-sphere collisions between pieces. Settled pieces act as static.
+     */
+    collidePieces() {
+        const scale = this.settings.collisionScale;
+        const restitution = this.settings.restitution;
+        
+        for (let i = 0; i < this.bodies.length; i++) {
+            const a = this.bodies[i];
+            for (let j = i + 1; j < this.bodies.length; j++) {
+                const b = this.bodies[j];
+                if (a.asleep && b.asleep) continue;
+                
+                const normal = b.center.clone().sub(a.center);
+                const distance = normal.length();
+                const minDistance = (a.radius + b.radius) * scale;
+                if (distance >= minDistance || distance < 1e-6) continue;
+                normal.divideScalar(distance);
+                
+                // Separate, moving only the awake pieces
+                const overlap = minDistance - distance;
+                const aShare = a.asleep ? 0 : (b.asleep ? 1 : 0.5);
+                const bShare = 1 - aShare;
+                a.center.addScaledVector(normal, -overlap * aShare);
+                b.center.addScaledVector(normal, overlap * bShare);
+                
+                const approach = b.velocity.clone().sub(a.velocity).dot(normal);
+                if (approach >= 0) continue;
+                
+                const impulse = -(1 + restitution) * approach / ((a.asleep ? 0 : 1) + (b.asleep ? 0 : 1));
+                if (!a.asleep) a.velocity.addScaledVector(normal, -impulse);
+                if (!b.asleep) b.velocity.addScaledVector(normal, impulse);
+            }
+        }
+    }
+    
+    applyImpulse(body, r, impulse) {
+        body.velocity.add(impulse);
+        body.angularVelocity.addScaledVector(r.clone().cross(impulse), body.invInertia);
+    }
+    
+    /**
+     * Write a body's world transform back onto its piece (in the parent's space)
+     */
+    applyToPiece(body) {
+        const offset = body.localCenter.clone().multiply(body.scale).applyQuaternion(body.quaternion);
+        const world = new THREE.Matrix4().compose(body.center.clone().sub(offset), body.quaternion, body.scale);
+        world.premultiply(body.parentInverse);
+        world.decompose(body.piece.position, body.piece.quaternion, body.piece.scale);
+    }
+    
+    isSettled() {
+        return this.bodies.every(body => body.asleep);
+    }
+    
+    clear() {
+        this.bodies = [];
+        this.accumulator = 0;
+    }
+}
+
+// q += 0.5 * (0, w) * q * h
+function integrateRotation(quaternion, w, h) {
+    const spin = new THREE.Quaternion(w.x * h * 0.5, w.y * h * 0.5, w.z * h * 0.5, 0).multiply(quaternion);
+    quaternion.set(
+        quaternion.x + spin.x,
+        quaternion.y + spin.y,
+        quaternion.z + spin.z,
+        quaternion.w + spin.w
+    ).normalize();
+}
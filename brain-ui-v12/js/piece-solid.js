@@ -0,0 +1,162 @@
+/**
+ * Solid Puzzle Pieces
+ * Turns a piece's patch of the brain surface into a solid jigsaw piece: a top
+ * face lifted off the brain, a bevel round the edge, side walls and a back face.
+ * The patch is cut exactly along the piece's tab/blank outline, so a piece
+ * flying off looks like a thick cardboard piece rather than a painted shell.
+ */
+
+// Heights are along the surface normal, in the brain mesh's own units
+export const SOLID_PIECE_SHAPE = {
+    surfaceOffset: 0.08,  // Top face above the brain surface (same as the old shell)
+    thickness: 0.06,      // Top face to back face
+    bevelHeight: 0.02,    // How far the bevel drops at the very edge
+    bevelWidth: 0.05,     // How far in from the edge the bevel starts, in grid cells
+    bevel: true,          // false: flat top right out to the edge
+    backFace: true        // false: open underneath (the material is double-sided)
+};
+
+// Detail levels for the quality tiers (see quality.js). 'flat' drops the bevel
+// band and the back face - about half the triangles of 'bevelled'.
+export const SOLID_PIECE_DETAIL = {
+    bevelled: {},
+    flat: { bevel: false, backFace: false }
+};
+
+/**
+ * Build the solid geometry for one piece
+ * @param {THREE.BufferAttribute} positions - Brain mesh vertex positions
+ * @param {THREE.BufferAttribute} [normals] - Brain mesh vertex normals
+ * @param {number[]} indices - The piece's triangles (from the partition step)
+ * @param {function(number): number} distanceAt - Outline distance for a vertex index, in cells, negative inside
+ * @param {Object} [shape] - Overrides for SOLID_PIECE_SHAPE
+ * @returns {THREE.BufferGeometry} Non-indexed geometry with flat normals
+ */
+export function buildSolidPieceGeometry(positions, normals, indices, distanceAt, shape = {}) {
+    const { surfaceOffset, thickness, bevelHeight, bevelWidth, bevel, backFace: withBackFace } = { ...SOLID_PIECE_SHAPE, ...shape };
+    const backHeight = surfaceOffset - thickness;
+    const edgeHeight = bevel ? surfaceOffset - bevelHeight : surfaceOffset;
+    
+    // Flat in the middle, sloping down over the bevel band to the edge
+    const topHeight = (point) => {
+        if (!bevel || point.d <= -bevelWidth) return surfaceOffset;
+        return surfaceOffset - bevelHeight * (point.d + bevelWidth) / bevelWidth;
+    };
+    const backFace = () => backHeight;
+    
+    // Triangles share corners, so look each one up once
+    const corners = new Map();
+    const corner = (index) => {
+        let point = corners.get(index);
+        if (!point) {
+            point = {
+                p: new THREE.Vector3().fromBufferAttribute(positions, index),
+                n: normals ? new THREE.Vector3().fromBufferAttribute(normals, index) : new THREE.Vector3(0, 0, 1),
+                d: distanceAt(index),
+                cut: false
+            };
+            corners.set(index, point);
+        }
+        return point;
+    };
+    
+    const out = [];
+    
+    for (let t = 0; t + 2 < indices.length; t += 3) {
+        const triangle = [corner(indices[t]), corner(indices[t + 1]), corner(indices[t + 2])];
+        if (triangle.every(point => point.d >= 0)) continue;
+        
+        const inside = clipPolygon(triangle, 0, true);
+        if (inside.length < 3) continue;
+        
+        // Back face - same outline, facing the brain
+        if (withBackFace) {
+            emitFan(out, inside, backFace, true);
+        }
+        
+        // Top face, split where the bevel starts
+        if (!bevel || inside.every(point => point.d <= -bevelWidth)) {
+            emitFan(out, inside, topHeight, false);
+        } else {
+            emitFan(out, clipPolygon(inside, -bevelWidth, true), topHeight, false);
+            emitFan(out, clipPolygon(inside, -bevelWidth, false), topHeight, false);
+        }
+        
+        // Side wall along the outline. The two new cut points are consecutive,
+        // with the inside on their left (same winding as the triangle). A vertex
+        // right on the outline gives two cuts in the same spot - no wall there.
+        for (let i = 0; i < inside.length; i++) {
+            const a = inside[i];
+            const b = inside[(i + 1) % inside.length];
+            if (a.cut && b.cut && a.p.distanceToSquared(b.p) > 1e-12) {
+                const aTop = lift(a, edgeHeight);
+                const bTop = lift(b, edgeHeight);
+                const aBack = lift(a, backHeight);
+                const bBack = lift(b, backHeight);
+                pushTriangle(out, aTop, aBack, bBack);
+                pushTriangle(out, aTop, bBack, bTop);
+                break;
+            }
+        }
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(out, 3));
+    geometry.computeVertexNormals();
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+    return geometry;
+}
+
+/**
+ * Keep the part of a convex polygon where the outline distance is below
+ * (or above) a level. New points are flagged `cut`. Points exactly on the
+ * level count as outside when keeping below, so a vertex sitting right on
+ * the outline still gets a cut point and a wall.
+ */
+function clipPolygon(points, level, keepBelow) {
+    const result = [];
+    const isIn = point => (keepBelow ? point.d < level : point.d >= level);
+    
+    for (let i = 0; i < points.length; i++) {
+        const current = points[i];
+        const next = points[(i + 1) % points.length];
+        const currentIn = isIn(current);
+        
+        if (currentIn) result.push(current);
+        if (currentIn !== isIn(next)) {
+            const t = (level - current.d) / (next.d - current.d);
+            result.push({
+                p: current.p.clone().lerp(next.p, t),
+                n: current.n.clone().lerp(next.n, t),
+                d: level,
+                cut: true
+            });
+        }
+    }
+    
+    return result;
+}
+
+function emitFan(out, polygon, heightOf, flip) {
+    if (polygon.length < 3) return;
+    
+    const lifted = polygon.map(point => lift(point, heightOf(point)));
+    for (let i = 1; i < lifted.length - 1; i++) {
+        if (flip) {
+            pushTriangle(out, lifted[0], lifted[i + 1], lifted[i]);
+        } else {
+            pushTriangle(out, lifted[0], lifted[i], lifted[i + 1]);
+        }
+    }
+}
+
+// Point pushed off the surface along its normal
+function lift(point, height) {
+    const normal = point.n.lengthSq() > 0 ? point.n.clone().normalize() : point.n.clone();
+    return point.p.clone().addScaledVector(normal, height);
+}
+
+function pushTriangle(out, a, b, c) {
+    out.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+}
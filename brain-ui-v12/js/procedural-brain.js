@@ -0,0 +1,229 @@
+/**
+ * Procedural Brain
+ * A brain built in code, used when public/brain.glb can't be loaded or parsed:
+ * two hemispheres folded into gyri with noise, a cerebellum with its fine
+ * horizontal folds, and the brainstem.
+ *
+ * Everything is merged into one mesh centred on its origin, like the model -
+ * overlays and puzzle pieces are built per mesh and scaled about its origin.
+ */
+
+export const PROCEDURAL_BRAIN_COLOR = 0xd9a6a0;
+
+/**
+ * Build the brain
+ * @param {Object} [options]
+ * @param {function(): number} [options.random] - Seeded generator for the folds
+ * @param {number} [options.detail=1] - Mesh resolution multiplier
+ * @returns {THREE.Group} Stands in for gltf.scene
+ */
+export function createProceduralBrain({ random = Math.random, detail = 1 } = {}) {
+    const noise = createNoise(random);
+    const segments = Math.max(16, Math.round(96 * detail));
+    
+    const parts = [
+        createHemisphere(-1, noise, segments),
+        createHemisphere(1, noise, segments),
+        createCerebellum(noise, Math.round(segments * 0.75)),
+        createBrainstem(Math.round(segments / 4))
+    ];
+    
+    const geometry = mergeGeometries(parts);
+    geometry.center();
+    geometry.computeBoundingSphere();
+    parts.forEach(part => part.dispose());
+    
+    const material = new THREE.MeshStandardMaterial({
+        color: PROCEDURAL_BRAIN_COLOR,
+        roughness: 0.75,
+        metalness: 0
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = 'ProceduralBrain';
+    
+    const group = new THREE.Group();
+    group.name = 'ProceduralBrainScene';
+    group.add(mesh);
+    return group;
+}
+
+/**
+ * One cerebral hemisphere: an egg-shaped ellipsoid, flat on the midline and
+ * underneath, with ridged noise pushed out along the normal for the gyri
+ * @param {number} side - -1 left, 1 right
+ */
+function createHemisphere(side, noise, segments) {
+    const geometry = new THREE.SphereGeometry(1, segments, Math.round(segments * 0.66));
+    const positions = geometry.attributes.position;
+    const point = new THREE.Vector3();
+    
+    for (let v = 0; v < positions.count; v++) {
+        point.fromBufferAttribute(positions, v);
+        const { x, y, z } = point;
+        
+        // Wider at the back, narrower at the frontal pole
+        const taper = 1 - 0.12 * z;
+        let px = x * 0.46 * taper;
+        let py = y * 0.5 * (y < 0 ? 0.72 : 1) * (1 - 0.08 * z);
+        const pz = z * 0.8;
+        
+        // Flatten the inner face so the longitudinal fissure shows between hemispheres
+        if (x * side < 0) px *= 0.4;
+        // Temporal lobe bulges down and out at the side, towards the front
+        py -= Math.max(0, -y) * Math.max(0, z + 0.2) * 0.12;
+        
+        point.set(px + side * 0.23, py, pz);
+        
+        // Gyri: ridges where the noise crosses its midpoint, deeper sulci in between
+        const folds = ridged(noise, point.x * 7, point.y * 7, point.z * 7, 3);
+        const depth = x * side < -0.5 ? 0.2 : 1; // Fewer folds on the flat midline face
+        point.addScaledVector(new THREE.Vector3(px / 0.46, py / 0.5, pz / 0.8).normalize(), (folds - 0.55) * 0.05 * depth);
+        
+        positions.setXYZ(v, point.x, point.y, point.z);
+    }
+    
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+/**
+ * Cerebellum: a wide, flattened bulb under the back of the hemispheres with
+ * tight horizontal folia
+ */
+function createCerebellum(noise, segments) {
+    const geometry = new THREE.SphereGeometry(1, segments, Math.round(segments * 0.66));
+    const positions = geometry.attributes.position;
+    const point = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    
+    for (let v = 0; v < positions.count; v++) {
+        point.fromBufferAttribute(positions, v);
+        normal.copy(point);
+        
+        // Two lobes with a dip in the middle
+        const lobes = 1 - 0.12 * Math.exp(-point.x * point.x * 30) * Math.max(0, -point.z);
+        point.set(point.x * 0.5, point.y * 0.24, point.z * 0.3 * lobes);
+        
+        const folia = Math.sin(point.y * 90 + noise(point.x * 4, point.y * 4, point.z * 4) * 4) * 0.5 + 0.5;
+        point.addScaledVector(normal, (folia - 0.5) * 0.014);
+        point.add(new THREE.Vector3(0, -0.33, -0.52));
+        
+        positions.setXYZ(v, point.x, point.y, point.z);
+    }
+    
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+/**
+ * Brainstem: a tapered column from under the middle of the brain, leaning forward
+ */
+function createBrainstem(segments) {
+    const geometry = new THREE.CylinderGeometry(0.12, 0.075, 0.5, segments, 8, true);
+    geometry.rotateX(-0.35);
+    geometry.translate(0, -0.5, -0.18);
+    return geometry;
+}
+
+/**
+ * Merge non-indexed or indexed geometries with position, normal and uv into one
+ */
+function mergeGeometries(geometries) {
+    const names = ['position', 'normal', 'uv'];
+    const arrays = { position: [], normal: [], uv: [] };
+    const indices = [];
+    let offset = 0;
+    
+    geometries.forEach((geometry) => {
+        names.forEach((name) => {
+            const attribute = geometry.attributes[name];
+            for (let i = 0; i < attribute.array.length; i++) {
+                arrays[name].push(attribute.array[i]);
+            }
+        });
+        
+        const count = geometry.attributes.position.count;
+        if (geometry.index) {
+            for (let i = 0; i < geometry.index.count; i++) {
+                indices.push(geometry.index.getX(i) + offset);
+            }
+        } else {
+            for (let i = 0; i < count; i++) {
+                indices.push(i + offset);
+            }
+        }
+        offset += count;
+    });
+    
+    const merged = new THREE.BufferGeometry();
+    merged.setAttribute('position', new THREE.Float32BufferAttribute(arrays.position, 3));
+    merged.setAttribute('normal', new THREE.Float32BufferAttribute(arrays.normal, 3));
+    merged.setAttribute('uv', new THREE.Float32BufferAttribute(arrays.uv, 2));
+    merged.setIndex(indices);
+    return merged;
+}
+
+/**
+ * Seeded 3D value noise, 0..1
+ * @returns {function(number, number, number): number}
+ */
+function createNoise(random) {
+    const permutation = new Uint8Array(512);
+    const values = new Float32Array(256);
+    const order = [];
+    for (let i = 0; i < 256; i++) {
+        order.push(i);
+        values[i] = random();
+    }
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    for (let i = 0; i < 512; i++) {
+        permutation[i] = order[i & 255];
+    }
+    
+    const lattice = (x, y, z) => values[permutation[permutation[permutation[x & 255] + (y & 255)] + (z & 255)]];
+    const fade = t => t * t * (3 - 2 * t);
+    const lerp = (a, b, t) => a + (b - a) * t;
+    
+    return (x, y, z) => {
+        const xi = Math.floor(x);
+        const yi = Math.floor(y);
+        const zi = Math.floor(z);
+        const u = fade(x - xi);
+        const v = fade(y - yi);
+        const w = fade(z - zi);
+        
+        return lerp(
+            lerp(
+                lerp(lattice(xi, yi, zi), lattice(xi + 1, yi, zi), u),
+                lerp(lattice(xi, yi + 1, zi), lattice(xi + 1, yi + 1, zi), u),
+                v
+            ),
+            lerp(
+                lerp(lattice(xi, yi, zi + 1), lattice(xi + 1, yi, zi + 1), u),
+                lerp(lattice(xi, yi + 1, zi + 1), lattice(xi + 1, yi + 1, zi + 1), u),
+                v
+            ),
+            w
+        );
+    };
+}
+
+// Ridged multi-octave noise, 0..1 - sharp crests like gyri
+function ridged(noise, x, y, z, octaves) {
+    let sum = 0;
+    let amplitude = 1;
+    let total = 0;
+    for (let octave = 0; octave < octaves; octave++) {
+        const ridge = 1 - Math.abs(noise(x, y, z) * 2 - 1);
+        sum += ridge * ridge * amplitude;
+        total += amplitude;
+        x *= 2.1;
+        y *= 2.1;
+        z *= 2.1;
+        amplitude *= 0.45;
+    }
+    return sum / total;
+}
@@ -4,10 +4,32 @@
  * Based on the jigsaw puzzle algorithm from the repo
  */
 
+// Knob (tab/blank) proportions in cell units. Shared by the piece shader and
+// CPU picking, so a tab always fits exactly into its neighbour's blank.
+export const KNOB_SHAPE = {
+    neck: 0.08,        // Half width of the neck
+    headOffset: 0.22,  // Distance from the edge to the centre of the round head
+    headRadius: 0.14
+};
+
+// Edge type -> number passed to the shader
+const EDGE_VALUES = { tab: 1, blank: -1, straight: 0 };
+
+// The neighbour's side of a shared edge
+const COMPLEMENT = { tab: 'blank', blank: 'tab', straight: 'straight' };
+
 export class PuzzleShapeGenerator {
-    constructor(rows, cols) {
+    /**
+     * @param {number} rows
+     * @param {number} cols
+     * @param {function(): number} [random] - Seeded generator from random.js, defaults to Math.random
+     * @param {{cols: number[], rows: number[]}} [seams] - Grid lines to keep straight, from getMappingSeams()
+     */
+    constructor(rows, cols, random = Math.random, seams = { cols: [], rows: [] }) {
         this.rows = rows;
         this.cols = cols;
+        this.random = random;
+        this.seams = seams;
         this.shapes = [];
         this.generateShapes();
     }
@@ -24,28 +46,28 @@ export class PuzzleShapeGenerator {
                     index: row * this.cols + col,
                     // Edge types: 'straight', 'tab', 'blank'
                     top: row === 0 ? 'straight' : null,
-                    right: col === this.cols - 1 ? 'straight' : null,
-                    bottom: row === this.rows - 1 ? 'straight' : null,
+                    right: col === this.cols - 1 || this.seams.cols.includes(col + 1) ? 'straight' : null,
+                    bottom: row === this.rows - 1 || this.seams.rows.includes(row + 1) ? 'straight' : null,
                     left: col === 0 ? 'straight' : null
                 };
                 
                 // Assign complementary edges (if right piece has tab, left piece has blank)
                 if (col > 0) {
                     const leftPiece = this.shapes[row * this.cols + col - 1];
-                    piece.left = leftPiece.right === 'tab' ? 'blank' : 'tab';
+                    piece.left = COMPLEMENT[leftPiece.right];
                 }
                 
                 if (row > 0) {
                     const topPiece = this.shapes[(row - 1) * this.cols + col];
-                    piece.top = topPiece.bottom === 'tab' ? 'blank' : 'tab';
+                    piece.top = COMPLEMENT[topPiece.bottom];
                 }
                 
                 // Randomly assign tab/blank to unassigned edges
                 if (piece.right === null) {
-                    piece.right = Math.random() > 0.5 ? 'tab' : 'blank';
+                    piece.right = this.random() > 0.5 ? 'tab' : 'blank';
                 }
                 if (piece.bottom === null) {
-                    piece.bottom = Math.random() > 0.5 ? 'tab' : 'blank';
+                    piece.bottom = this.random() > 0.5 ? 'tab' : 'blank';
                 }
                 
                 this.shapes.push(piece);
@@ -211,4 +233,95 @@ export class PuzzleShapeGenerator {
     getPieceData(pieceIndex) {
         return this.shapes[pieceIndex];
     }
+
+    /**
+     * Edge types as numbers for the piece shader: 1 tab, -1 blank, 0 straight
+     * @returns {number[]} [top, right, bottom, left]
+     */
+    getEdgeValues(pieceIndex) {
+        const piece = this.shapes[pieceIndex];
+        if (!piece) return [0, 0, 0, 0];
+        return [piece.top, piece.right, piece.bottom, piece.left].map(edge => EDGE_VALUES[edge]);
+    }
+
+    /**
+     * Signed distance from a point to a piece's outline, negative inside.
+     * Same maths as the GLSL piece shader in viewer.js - keep them in step.
+     * @param {number} pieceIndex
+     * @param {number} x - Columns from the piece cell's corner (0..1 is the cell itself)
+     * @param {number} y - Rows from the corner, towards the next row
+     * @returns {number}
+     */
+    getPieceDistance(pieceIndex, x, y) {
+        const [top, right, bottom, left] = this.getEdgeValues(pieceIndex);
+        
+        // Square cell first, then add tabs and cut blanks on each side
+        let distance = boxDistance(x - 0.5, y - 0.5, 0.5, 0.5);
+        distance = applyEdge(distance, top, x - 0.5, -y);
+        distance = applyEdge(distance, right, y - 0.5, x - 1);
+        distance = applyEdge(distance, bottom, x - 0.5, y - 1);
+        distance = applyEdge(distance, left, y - 0.5, -x);
+        
+        return distance;
+    }
+
+    /**
+     * Like getPieceDistance, but from grid coordinates (columns, rows).
+     * The grid wraps round, as it does in the shader.
+     */
+    getPieceDistanceAt(pieceIndex, gridX, gridY) {
+        const row = Math.floor(pieceIndex / this.cols);
+        const col = pieceIndex % this.cols;
+        return this.getPieceDistance(pieceIndex, wrapAround(gridX - col, this.cols), wrapAround(gridY - row, this.rows));
+    }
+
+    /**
+     * Which piece owns a grid point, tabs and blanks included
+     * @param {number} gridX - Columns
+     * @param {number} gridY - Rows
+     * @returns {number} Piece index
+     */
+    getPieceAt(gridX, gridY) {
+        const col = ((Math.floor(gridX) % this.cols) + this.cols) % this.cols;
+        const row = ((Math.floor(gridY) % this.rows) + this.rows) % this.rows;
+        
+        // The cell's own piece, unless a neighbour's tab reaches in
+        for (const [dc, dr] of NEIGHBOURS) {
+            const c = (col + dc + this.cols) % this.cols;
+            const r = (row + dr + this.rows) % this.rows;
+            const index = r * this.cols + c;
+            if (this.getPieceDistanceAt(index, gridX, gridY) <= 0) {
+                return index;
+            }
+        }
+        return row * this.cols + col;
+    }
+}
+
+const NEIGHBOURS = [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Shift a cell-relative coordinate by whole grids so the cell sits in the middle
+function wrapAround(value, size) {
+    return value - size * Math.floor((value - 0.5) / size + 0.5);
+}
+
+// u runs along the edge (0 = edge middle), v away from the piece (0 = on the edge)
+function applyEdge(distance, edgeValue, u, v) {
+    if (edgeValue > 0) return Math.min(distance, knobDistance(u, v));
+    if (edgeValue < 0) return Math.max(distance, -knobDistance(u, -v));
+    return distance;
+}
+
+function knobDistance(u, v) {
+    const { neck, headOffset, headRadius } = KNOB_SHAPE;
+    const head = Math.hypot(u, v - headOffset) - headRadius;
+    // Neck starts a little inside the edge so tabs and blanks join without a seam
+    const neckDistance = boxDistance(u, v - headOffset / 2 + 0.025, neck, headOffset / 2 + 0.025);
+    return Math.min(head, neckDistance);
+}
+
+function boxDistance(x, y, halfWidth, halfHeight) {
+    const qx = Math.abs(x) - halfWidth;
+    const qy = Math.abs(y) - halfHeight;
+    return Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0);
 }
@@ -0,0 +1,123 @@
+/**
+ * Adaptive Quality
+ * Watches the frame rate and steps through quality tiers to hold a target:
+ * pixel ratio, Matrix rain canvas size and draw rate, the overlay layers and
+ * piece geometry detail. It drops a tier as soon as a sample window runs slow,
+ * and only tries the next tier up after a long steady spell - waiting twice
+ * as long each time a tier up doesn't hold, so it settles instead of flapping.
+ */
+
+// Best first. matrixSteps: 60 Hz rain steps per redraw of the Matrix canvas.
+// pieceDetail: 'bevelled' or 'flat' solid pieces (see piece-solid.js), or 'thin' shells.
+export const QUALITY_TIERS = [
+    { name: 'ultra', pixelRatio: 2, matrixSize: 1024, matrixSteps: 1, overlays: true, pieceDetail: 'bevelled' },
+    { name: 'high', pixelRatio: 1.5, matrixSize: 1024, matrixSteps: 2, overlays: true, pieceDetail: 'bevelled' },
+    { name: 'medium', pixelRatio: 1, matrixSize: 512, matrixSteps: 2, overlays: true, pieceDetail: 'flat' },
+    { name: 'low', pixelRatio: 1, matrixSize: 512, matrixSteps: 4, overlays: true, pieceDetail: 'thin' },
+    { name: 'minimal', pixelRatio: 0.75, matrixSize: 256, matrixSteps: 6, overlays: false, pieceDetail: 'thin' }
+];
+
+const SAMPLE_WINDOW = 1000;       // ms of frames averaged per decision
+const SLOW_MARGIN = 0.9;          // Below this share of the target, step down
+const UPGRADE_DELAY = 5000;       // ms of steady frames before trying a tier up
+const MAX_UPGRADE_DELAY = 120000;
+const FAILED_UPGRADE_TIME = 10000; // A step down this soon after a step up means it didn't hold
+
+/**
+ * Tier index from an index or a name
+ * @param {number|string} tier
+ * @returns {number}
+ */
+export function resolveQualityTier(tier) {
+    if (typeof tier === 'number' && QUALITY_TIERS[tier]) return tier;
+    const index = QUALITY_TIERS.findIndex(entry => entry.name === tier);
+    if (index < 0) {
+        throw new Error(`Unknown quality tier "${tier}" - use ${QUALITY_TIERS.map(entry => entry.name).join(', ')}`);
+    }
+    return index;
+}
+
+export class QualityManager {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.targetFps=50] - Frame rate to hold
+     * @param {number|string} [options.tier=0] - Starting tier, index or name
+     * @param {boolean} [options.adaptive=true] - false holds the tier where it's put
+     * @param {function(Object, number)} [options.onChange] - Called with (tier, index) on every change
+     */
+    constructor({ targetFps = 50, tier = 0, adaptive = true, onChange = null } = {}) {
+        this.targetFps = targetFps;
+        this.adaptive = adaptive;
+        this.onChange = onChange;
+        this.index = resolveQualityTier(tier);
+        
+        this.fps = 0;               // Average over the last sample window
+        this.frameTime = 0;         // ms, same window
+        this.upgradeDelay = UPGRADE_DELAY;
+        this.resetWindow();
+        this.steadyTime = 0;        // ms at or above the target since the last change
+        this.sinceUpgrade = null;   // ms since the last step up, null if there hasn't been one
+    }
+    
+    get tier() {
+        return QUALITY_TIERS[this.index];
+    }
+    
+    resetWindow() {
+        this.windowFrames = 0;
+        this.windowTime = 0;
+    }
+    
+    /**
+     * Count one frame, and step the tier at the end of a sample window
+     * @param {number} delta - Real ms since the last frame
+     */
+    sample(delta) {
+        // First frame, or the tab was in the background
+        if (!(delta > 0) || delta >= 250) return;
+        
+        this.windowFrames++;
+        this.windowTime += delta;
+        if (this.sinceUpgrade !== null) this.sinceUpgrade += delta;
+        if (this.windowTime < SAMPLE_WINDOW) return;
+        
+        this.fps = this.windowFrames * 1000 / this.windowTime;
+        this.frameTime = this.windowTime / this.windowFrames;
+        const windowTime = this.windowTime;
+        this.resetWindow();
+        if (!this.adaptive) return;
+        
+        if (this.fps < this.targetFps * SLOW_MARGIN) {
+            this.steadyTime = 0;
+            if (this.sinceUpgrade !== null && this.sinceUpgrade < FAILED_UPGRADE_TIME) {
+                this.upgradeDelay = Math.min(this.upgradeDelay * 2, MAX_UPGRADE_DELAY);
+            }
+            this.sinceUpgrade = null;
+            if (this.index < QUALITY_TIERS.length - 1) {
+                this.setTier(this.index + 1);
+            }
+        } else {
+            this.steadyTime += windowTime;
+            if (this.steadyTime >= this.upgradeDelay && this.index > 0) {
+                this.steadyTime = 0;
+                this.setTier(this.index - 1);
+                this.sinceUpgrade = 0;
+            }
+        }
+    }
+    
+    /**
+     * Jump to a tier. The frame rate window starts again, as the last one
+     * measured the old tier.
+     * @param {number|string} tier - Index or name
+     */
+    setTier(tier) {
+        const index = resolveQualityTier(tier);
+        this.resetWindow();
+        if (index === this.index) return;
+        
+        this.index = index;
+        console.log(`?? Quality: ${this.tier.name}`);
+        if (this.onChange) this.onChange(this.tier, this.index);
+    }
+}
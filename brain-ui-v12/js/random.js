@@ -0,0 +1,62 @@
+/**
+ * Seeded random numbers
+ * Small deterministic PRNG so a seed reproduces the same puzzle shapes,
+ * colours, explosion and Matrix rain. Drop-in replacement for Math.random.
+ */
+
+/**
+ * Turn a seed from a URL, option or text box into an unsigned 32-bit integer
+ * Whole numbers are used as they are; any other text is hashed.
+ * @param {number|string} value
+ * @returns {number}
+ */
+export function parseSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return Math.floor(Math.abs(value)) >>> 0;
+    }
+    
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+    return hashString(text);
+}
+
+/**
+ * A fresh seed for when none is given
+ * @returns {number}
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 0xffffffff) >>> 0;
+}
+
+/**
+ * Create a random number generator
+ * Each subsystem gets its own named stream, so e.g. the Matrix rain drawing
+ * more numbers one frame never changes where the pieces fly.
+ * @param {number} seed - From parseSeed()
+ * @param {string} [stream] - Stream name, e.g. 'shapes'
+ * @returns {function(): number} Returns floats in [0, 1), like Math.random
+ */
+export function createRandom(seed, stream = '') {
+    let state = stream ? hashString(`${seed}:${stream}`) : seed >>> 0;
+    
+    // mulberry32
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
@@ -0,0 +1,211 @@
+/**
+ * Region Info Panel
+ * Accessible dialog showing a brain region's route content:
+ * title, description, colour swatch, optional images, facts and
+ * links to the previous/next region.
+ *
+ * Plain DOM on top of the canvas, so the render loop keeps running while open.
+ */
+
+export class RegionPanel {
+    /**
+     * @param {Object} callbacks
+     * @param {function(string)} [callbacks.onNavigate] - Called with a region id when a previous/next link is used
+     * @param {function()} [callbacks.onClose] - Called after the panel closes
+     */
+    constructor({ onNavigate = null, onClose = null } = {}) {
+        this.onNavigate = onNavigate;
+        this.onClose = onClose;
+        this.element = null;
+        this.dialog = null;
+        this.returnFocus = null;
+        this.handleKeyDown = (event) => this.onKeyDown(event);
+    }
+    
+    isOpen() {
+        return this.element !== null;
+    }
+    
+    /**
+     * Show a route, replacing whatever is currently shown
+     * @param {Object} route - Route entry from routes.js
+     * @param {{previous: Object|null, next: Object|null}} [neighbours] - Adjacent routes to link to
+     */
+    open(route, neighbours = {}) {
+        if (!route) return;
+        
+        if (this.isOpen()) {
+            this.dialog.replaceChildren(...this.renderContent(route, neighbours));
+        } else {
+            this.returnFocus = document.activeElement;
+            this.build(route, neighbours);
+            document.addEventListener('keydown', this.handleKeyDown, true);
+        }
+        
+        this.dialog.querySelector('.region-panel-close').focus();
+    }
+    
+    /**
+     * Close the panel and hand focus back to where it was
+     * @param {boolean} [notify=true] - Call onClose (false when closed by the router itself)
+     */
+    close(notify = true) {
+        if (!this.isOpen()) return;
+        
+        document.removeEventListener('keydown', this.handleKeyDown, true);
+        this.element.remove();
+        this.element = null;
+        this.dialog = null;
+        
+        if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+        
+        if (notify && this.onClose) {
+            this.onClose();
+        }
+    }
+    
+    build(route, neighbours) {
+        this.element = document.createElement('div');
+        this.element.className = 'region-panel-backdrop';
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) this.close();
+        });
+        
+        this.dialog = document.createElement('div');
+        this.dialog.className = 'region-panel';
+        this.dialog.setAttribute('role', 'dialog');
+        this.dialog.setAttribute('aria-modal', 'true');
+        this.dialog.setAttribute('aria-labelledby', 'region-panel-title');
+        this.dialog.append(...this.renderContent(route, neighbours));
+        
+        this.element.appendChild(this.dialog);
+        document.body.appendChild(this.element);
+    }
+    
+    renderContent(route, neighbours) {
+        const nodes = [];
+        
+        const header = document.createElement('div');
+        header.className = 'region-panel-header';
+        
+        const swatch = document.createElement('span');
+        swatch.className = 'region-panel-swatch';
+        swatch.style.background = this.colorToCSS(route.color);
+        swatch.setAttribute('aria-hidden', 'true');
+        
+        const title = document.createElement('h2');
+        title.id = 'region-panel-title';
+        title.textContent = route.title;
+        
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'region-panel-close';
+        closeButton.setAttribute('aria-label', 'Close');
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.close());
+        
+        header.append(swatch, title, closeButton);
+        nodes.push(header);
+        
+        const description = document.createElement('p');
+        description.className = 'region-panel-description';
+        description.textContent = route.description;
+        nodes.push(description);
+        
+        if (Array.isArray(route.images) && route.images.length > 0) {
+            const gallery = document.createElement('div');
+            gallery.className = 'region-panel-images';
+            route.images.forEach((image) => {
+                const figure = document.createElement('figure');
+                const img = document.createElement('img');
+                img.src = image.src;
+                img.alt = image.alt || '';
+                img.loading = 'lazy';
+                figure.appendChild(img);
+                if (image.caption) {
+                    const caption = document.createElement('figcaption');
+                    caption.textContent = image.caption;
+                    figure.appendChild(caption);
+                }
+                gallery.appendChild(figure);
+            });
+            nodes.push(gallery);
+        }
+        
+        if (Array.isArray(route.facts) && route.facts.length > 0) {
+            const facts = document.createElement('ul');
+            facts.className = 'region-panel-facts';
+            route.facts.forEach((fact) => {
+                const item = document.createElement('li');
+                item.textContent = fact;
+                facts.appendChild(item);
+            });
+            nodes.push(facts);
+        }
+        
+        const { previous, next } = neighbours;
+        if (previous || next) {
+            const nav = document.createElement('nav');
+            nav.className = 'region-panel-nav';
+            nav.setAttribute('aria-label', 'Other regions');
+            nav.appendChild(this.createNavLink(previous, '← '));
+            nav.appendChild(this.createNavLink(next, '', ' →'));
+            nodes.push(nav);
+        }
+        
+        return nodes;
+    }
+    
+    createNavLink(route, prefix = '', suffix = '') {
+        if (!route) {
+            // Keep next on the right when there is no previous
+            return document.createElement('span');
+        }
+        
+        const link = document.createElement('a');
+        link.href = route.url;
+        link.textContent = `${prefix}${route.title}${suffix}`;
+        link.addEventListener('click', (e) => {
+            if (this.onNavigate) {
+                e.preventDefault();
+                this.onNavigate(route.id);
+            }
+        });
+        return link;
+    }
+    
+    /**
+     * Escape closes; Tab and Shift+Tab cycle inside the panel
+     */
+    onKeyDown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close();
+            return;
+        }
+        
+        if (event.key !== 'Tab') return;
+        
+        const focusable = Array.from(this.dialog.querySelectorAll('a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])'));
+        if (focusable.length === 0) return;
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const inside = this.dialog.contains(document.activeElement);
+        
+        if (event.shiftKey && (document.activeElement === first || !inside)) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (document.activeElement === last || !inside)) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+    
+    colorToCSS(hexColor) {
+        return `#${hexColor.toString(16).padStart(6, '0')}`;
+    }
+}
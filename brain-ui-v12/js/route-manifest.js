@@ -0,0 +1,219 @@
+/**
+ * Route Manifest Loader
+ * Loads brain regions from a JSON file so different content sets
+ * (anatomy teaching, MIFF event branding...) can be swapped without code changes.
+ *
+ * Manifest format:
+ * {
+ *     "name": "Anatomy",
+ *     "regions": [
+ *         {
+ *             "id": "frontal-lobe",              // required, lowercase letters, digits and dashes
+ *             "title": "Frontal Lobe",           // required
+ *             "description": "...",              // optional
+ *             "color": "#ff6b6b",                // required, "#rrggbb" or a number
+ *             "url": "#/frontal-lobe",           // optional, defaults to "#/<id>"
+ *             "anchor": { "x": 0, "y": 0.35, "z": 0.75 },  // optional, -1..1
+ *             "facts": ["..."],                  // optional
+ *             "images": [{ "src": "...", "alt": "...", "caption": "..." }],  // optional
+ *             "previous": "corpus-callosum",     // optional region id
+ *             "next": "parietal-lobe"            // optional region id
+ *         }
+ *     ]
+ * }
+ *
+ * Regions without an anchor are spread evenly around the brain.
+ */
+
+import { setRoutes } from './routes.js';
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+export class RouteManifestError extends Error {
+    constructor(source, errors) {
+        super(`Invalid route manifest ${source}:\n- ${errors.join('\n- ')}`);
+        this.name = 'RouteManifestError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Check a parsed manifest against the schema
+ * @param {Object} manifest - Parsed JSON
+ * @returns {string[]} Problems found, empty when valid
+ */
+export function validateRouteManifest(manifest) {
+    const errors = [];
+    
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        return ['manifest must be a JSON object'];
+    }
+    if (!Array.isArray(manifest.regions) || manifest.regions.length === 0) {
+        return ['"regions" must be a non-empty array'];
+    }
+    
+    const ids = new Set();
+    const urls = new Set();
+    
+    manifest.regions.forEach((region, index) => {
+        const label = region && typeof region.id === 'string' ? `regions[${index}] ("${region.id}")` : `regions[${index}]`;
+        
+        if (!region || typeof region !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        
+        if (typeof region.id !== 'string' || region.id === '') {
+            errors.push(`${label} is missing an "id"`);
+        } else if (!ID_PATTERN.test(region.id)) {
+            errors.push(`${label} has an invalid id - use lowercase letters, digits and dashes`);
+        } else if (ids.has(region.id)) {
+            errors.push(`${label} duplicates id "${region.id}"`);
+        } else {
+            ids.add(region.id);
+        }
+        
+        if (typeof region.title !== 'string' || region.title.trim() === '') {
+            errors.push(`${label} is missing a "title"`);
+        }
+        if (region.description !== undefined && typeof region.description !== 'string') {
+            errors.push(`${label} "description" must be a string`);
+        }
+        
+        if (region.color === undefined) {
+            errors.push(`${label} is missing a "color"`);
+        } else if (parseColor(region.color) === null) {
+            errors.push(`${label} has a bad color ${JSON.stringify(region.color)} - use "#rrggbb"`);
+        }
+        
+        if (region.url !== undefined && (typeof region.url !== 'string' || region.url === '')) {
+            errors.push(`${label} "url" must be a non-empty string`);
+        }
+        const url = typeof region.url === 'string' ? region.url : `#/${region.id}`;
+        if (urls.has(url)) {
+            errors.push(`${label} duplicates url "${url}"`);
+        }
+        urls.add(url);
+        
+        if (region.anchor !== undefined) {
+            const anchor = region.anchor;
+            const valid = anchor && ['x', 'y', 'z'].every(axis =>
+                typeof anchor[axis] === 'number' && anchor[axis] >= -1 && anchor[axis] <= 1);
+            if (!valid) {
+                errors.push(`${label} "anchor" needs numeric x, y and z between -1 and 1`);
+            }
+        }
+        
+        if (region.facts !== undefined &&
+            (!Array.isArray(region.facts) || region.facts.some(fact => typeof fact !== 'string'))) {
+            errors.push(`${label} "facts" must be an array of strings`);
+        }
+        
+        if (region.images !== undefined &&
+            (!Array.isArray(region.images) || region.images.some(image => !image || typeof image.src !== 'string'))) {
+            errors.push(`${label} "images" must be an array of objects with a "src"`);
+        }
+    });
+    
+    // Links can only be checked once every id is known
+    manifest.regions.forEach((region, index) => {
+        if (!region || typeof region !== 'object') return;
+        ['previous', 'next'].forEach((key) => {
+            if (region[key] !== undefined && !ids.has(region[key])) {
+                errors.push(`regions[${index}] "${key}" points to unknown region "${region[key]}"`);
+            }
+        });
+    });
+    
+    return errors;
+}
+
+/**
+ * Turn a validated manifest into the routes object used by routes.js
+ * @param {Object} manifest - A manifest that passed validateRouteManifest()
+ * @returns {Object} Routes keyed piece1..pieceN
+ */
+export function manifestToRoutes(manifest) {
+    const routes = {};
+    const count = manifest.regions.length;
+    
+    manifest.regions.forEach((region, index) => {
+        const route = {
+            id: region.id,
+            url: region.url || `#/${region.id}`,
+            title: region.title,
+            description: region.description || '',
+            color: parseColor(region.color),
+            anchor: region.anchor || spreadAnchor(index, count)
+        };
+        ['facts', 'images', 'previous', 'next'].forEach((key) => {
+            if (region[key] !== undefined) route[key] = region[key];
+        });
+        
+        routes[`piece${index + 1}`] = route;
+    });
+    
+    return routes;
+}
+
+/**
+ * Fetch, validate and activate a route manifest
+ * @param {string} url - Manifest location
+ * @returns {Promise<Object>} The new routes
+ */
+export async function loadRouteManifest(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new Error(`Could not fetch route manifest ${url}: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new Error(`Could not fetch route manifest ${url}: HTTP ${response.status}`);
+    }
+    
+    let manifest;
+    try {
+        manifest = await response.json();
+    } catch (error) {
+        throw new RouteManifestError(url, [`not valid JSON (${error.message})`]);
+    }
+    
+    const errors = validateRouteManifest(manifest);
+    if (errors.length > 0) {
+        throw new RouteManifestError(url, errors);
+    }
+    
+    const routes = manifestToRoutes(manifest);
+    setRoutes(routes);
+    console.log(`Loaded ${manifest.regions.length} regions from ${url}${manifest.name ? ` (${manifest.name})` : ''}`);
+    
+    return routes;
+}
+
+function parseColor(color) {
+    if (typeof color === 'number' && Number.isInteger(color) && color >= 0 && color <= 0xffffff) {
+        return color;
+    }
+    if (typeof color === 'string' && COLOR_PATTERN.test(color)) {
+        return parseInt(color.slice(1), 16);
+    }
+    return null;
+}
+
+/**
+ * Evenly spaced anchor on a sphere - golden angle spiral, like the Matrix threads
+ */
+function spreadAnchor(index, count) {
+    const y = count === 1 ? 0 : 1 - (index / (count - 1)) * 2;
+    const radius = Math.sqrt(1 - y * y);
+    const angle = index * 137.5 * (Math.PI / 180);
+    
+    // Routes match on distance from the midline, so keep x on one side
+    return {
+        x: Math.abs(Math.cos(angle)) * radius,
+        y,
+        z: Math.sin(angle) * radius
+    };
+}
@@ -0,0 +1,214 @@
+/**
+ * Hash router
+ * Keeps the URL in sync with the viewer so a link reproduces what was on screen:
+ *   #/cerebellum?size=6x6&speed=1.2&spin=0.5&seed=1234
+ * Back/forward move between regions through hashchange, without reloading the model.
+ */
+
+import { getRouteIdByRegion, getRouteInfo, getAdjacentRoutes } from './routes.js';
+import { RegionPanel } from './region-panel.js';
+import { parseSeed } from './random.js';
+
+// Same ranges as the control panel sliders
+const SPEED_RANGE = { min: 0.1, max: 3.0 };
+const SPIN_RANGE = { min: 0, max: 3.0 };
+const MAX_PUZZLE_SIDE = 12;
+
+/**
+ * Parse a location hash into a region id and view parameters
+ * Invalid parameters are dropped with a warning rather than applied.
+ * @param {string} hash - e.g. '#/cerebellum?size=6x6&speed=1.2'
+ * @returns {{regionId: string|null, params: Object}}
+ */
+export function parseHash(hash) {
+    const trimmed = (hash || '').replace(/^#\/?/, '');
+    const queryStart = trimmed.indexOf('?');
+    const path = queryStart === -1 ? trimmed : trimmed.slice(0, queryStart);
+    const query = queryStart === -1 ? '' : trimmed.slice(queryStart + 1);
+    const search = new URLSearchParams(query);
+    const params = {};
+    
+    if (search.has('size')) {
+        const match = /^(\d+)x(\d+)$/.exec(search.get('size'));
+        const rows = match ? Number(match[1]) : 0;
+        const cols = match ? Number(match[2]) : 0;
+        if (rows >= 2 && cols >= 2 && rows <= MAX_PUZZLE_SIDE && cols <= MAX_PUZZLE_SIDE) {
+            params.size = { rows, cols };
+        } else {
+            console.warn(`Ignoring invalid puzzle size in URL: ${search.get('size')}`);
+        }
+    }
+    
+    const speed = readNumber(search, 'speed', SPEED_RANGE);
+    if (speed !== null) params.speed = speed;
+    
+    const spin = readNumber(search, 'spin', SPIN_RANGE);
+    if (spin !== null) params.spin = spin;
+    
+    if (search.has('seed')) {
+        const seed = search.get('seed').trim();
+        if (seed !== '') {
+            params.seed = parseSeed(seed);
+        } else {
+            console.warn('Ignoring empty seed in URL');
+        }
+    }
+    
+    return {
+        regionId: path ? decodeRegionId(path) : null,
+        params
+    };
+}
+
+// A broken escape in a hand-edited link (e.g. #/%E0%A4%A) means no region, not a crash
+function decodeRegionId(path) {
+    try {
+        return decodeURIComponent(path);
+    } catch (error) {
+        console.warn(`Ignoring malformed region in URL: ${path}`);
+        return null;
+    }
+}
+
+function readNumber(search, key, range) {
+    if (!search.has(key)) return null;
+    
+    const value = parseFloat(search.get(key));
+    if (isNaN(value) || value < range.min || value > range.max) {
+        console.warn(`Ignoring invalid ${key} in URL: ${search.get(key)}`);
+        return null;
+    }
+    return value;
+}
+
+/**
+ * Build a hash for a region and a viewer state
+ * @param {string|null} regionId - e.g. 'frontal-lobe', or null for no region
+ * @param {{size: string, speed: number, spin: number, seed: number}} state - From BrainViewer.getViewState()
+ * @returns {string}
+ */
+export function buildHash(regionId, state) {
+    const query = `size=${state.size}&speed=${formatNumber(state.speed)}&spin=${formatNumber(state.spin)}&seed=${state.seed}`;
+    return `#/${regionId ? encodeURIComponent(regionId) : ''}?${query}`;
+}
+
+function formatNumber(value) {
+    return String(Number(value.toFixed(2)));
+}
+
+export class HashRouter {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.currentRegionId = null;
+        this.applying = false;
+        this.panel = new RegionPanel({
+            onNavigate: (regionId) => this.navigate(regionId),
+            onClose: () => this.onPanelClosed()
+        });
+        
+        // Let the viewer send piece clicks through the router
+        viewer.router = this;
+    }
+    
+    start() {
+        window.addEventListener('hashchange', () => this.applyHash());
+        
+        // Slider and size changes rewrite the current URL (no new history entry)
+        this.viewer.onStateChange(() => this.syncUrl());
+        
+        this.applyHash();
+    }
+    
+    /**
+     * Apply the current URL to the viewer
+     */
+    applyHash() {
+        const { regionId, params } = parseHash(window.location.hash);
+        
+        this.applying = true;
+        try {
+            this.applyParams(params);
+            this.applyRegion(regionId);
+        } finally {
+            this.applying = false;
+        }
+        
+        // Fill in any missing parameters so the address bar is always shareable
+        if (window.location.hash) {
+            this.syncUrl();
+        }
+    }
+    
+    applyParams(params) {
+        const viewer = this.viewer;
+        
+        if (params.seed !== undefined && params.seed !== viewer.seed) {
+            viewer.setSeed(params.seed);
+        }
+        if (params.size && (params.size.rows !== viewer.puzzleRows || params.size.cols !== viewer.puzzleCols)) {
+            // Size can only change on an assembled puzzle
+            if (viewer.puzzleExploded) {
+                viewer.restart();
+            }
+            viewer.changePuzzleSize(params.size.rows, params.size.cols);
+        }
+        if (params.speed !== undefined && params.speed !== viewer.explosionSpeedMultiplier) {
+            viewer.setExplosionSpeed(params.speed);
+        }
+        if (params.spin !== undefined && params.spin !== viewer.autoRotateSpeed) {
+            viewer.setSpinSpeed(params.spin);
+        }
+    }
+    
+    applyRegion(regionId) {
+        const routeId = regionId ? getRouteIdByRegion(regionId) : null;
+        if (regionId && !routeId) {
+            console.warn(`Route not found for region: ${regionId}`);
+        }
+        
+        // No region, or one we don't know: leave whatever was open. applyHash()
+        // then rewrites the URL without the region.
+        if (!routeId) {
+            this.currentRegionId = null;
+            this.panel.close(false);
+            this.viewer.clearRegionFocus();
+            return;
+        }
+        
+        this.currentRegionId = regionId;
+        this.viewer.focusRegion(routeId);
+        this.panel.open(getRouteInfo(routeId), getAdjacentRoutes(routeId));
+    }
+    
+    /**
+     * Closing the panel leaves the region, so the URL keeps matching the screen
+     */
+    onPanelClosed() {
+        this.currentRegionId = null;
+        this.viewer.clearRegionFocus();
+        this.syncUrl();
+    }
+    
+    /**
+     * Open a region, adding a history entry
+     * @param {string} regionId - e.g. 'frontal-lobe'
+     */
+    navigate(regionId) {
+        const hash = buildHash(regionId, this.viewer.getViewState());
+        if (window.location.hash === hash) {
+            // Same link again (e.g. after closing the panel) - just reopen it
+            this.applyHash();
+        } else {
+            window.location.hash = hash;
+        }
+    }
+    
+    syncUrl() {
+        if (this.applying) return;
+        
+        const hash = buildHash(this.currentRegionId, this.viewer.getViewState());
+        if (window.location.hash !== hash) {
+            history.replaceState(null, '', hash);
+        }
+    }
+}
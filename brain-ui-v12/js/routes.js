@@ -1,74 +1,150 @@
 /**
  * Route configuration for puzzle pieces
  * Each puzzle piece maps to a specific route/page
+ *
+ * `anchor` is the rough centre of the region inside the brain's bounding box,
+ * normalised to -1..1 (x: away from the midline, y: up, z: towards the front).
+ * Pieces are matched to the route with the nearest anchor.
+ *
+ * Optional content for the region panel:
+ *   images:   [{ src, alt, caption }]
+ *   facts:    ['Short bullet', ...]
+ *   previous: region id to link back to (defaults to the entry before)
+ *   next:     region id to link on to (defaults to the entry after)
+ *
+ * These are the built-in routes. A JSON manifest (see route-manifest.js)
+ * can replace them at startup through setRoutes().
  */
 
-export const routes = {
+export let routes = {
     piece1: {
         id: 'frontal-lobe',
         url: '#/frontal-lobe',
         title: 'Frontal Lobe',
         description: 'Executive functions, decision making, and personality',
-        color: 0xff6b6b
+        color: 0xff6b6b,
+        anchor: { x: 0.0, y: 0.35, z: 0.75 },
+        facts: [
+            'Largest lobe of the human brain',
+            'Houses the primary motor cortex',
+            'Keeps maturing into the mid-twenties'
+        ]
     },
     piece2: {
         id: 'parietal-lobe',
         url: '#/parietal-lobe',
         title: 'Parietal Lobe',
         description: 'Sensory processing and spatial awareness',
-        color: 0x4ecdc4
+        color: 0x4ecdc4,
+        anchor: { x: 0.0, y: 0.7, z: -0.2 },
+        facts: [
+            'Contains the primary somatosensory cortex',
+            'Combines touch, vision and body position',
+            'Helps with reading, writing and maths'
+        ]
     },
     piece3: {
         id: 'temporal-lobe',
         url: '#/temporal-lobe',
         title: 'Temporal Lobe',
         description: 'Memory, hearing, and language comprehension',
-        color: 0x95e1d3
+        color: 0x95e1d3,
+        anchor: { x: 0.8, y: -0.2, z: 0.2 },
+        facts: [
+            'Contains the primary auditory cortex',
+            'Wernicke\'s area supports language comprehension',
+            'Holds the hippocampus and amygdala'
+        ]
     },
     piece4: {
         id: 'occipital-lobe',
         url: '#/occipital-lobe',
         title: 'Occipital Lobe',
         description: 'Visual processing',
-        color: 0xf38181
+        color: 0xf38181,
+        anchor: { x: 0.0, y: 0.2, z: -0.85 },
+        facts: [
+            'Home of the primary visual cortex',
+            'Smallest of the four main lobes',
+            'Left visual field is processed on the right side'
+        ]
     },
     piece5: {
         id: 'cerebellum',
         url: '#/cerebellum',
         title: 'Cerebellum',
         description: 'Motor control and coordination',
-        color: 0xaa96da
+        color: 0xaa96da,
+        anchor: { x: 0.35, y: -0.6, z: -0.6 },
+        facts: [
+            'About 10% of brain volume',
+            'Contains more than half of the brain\'s neurons',
+            'Fine-tunes balance, posture and timing'
+        ]
     },
     piece6: {
         id: 'brainstem',
         url: '#/brainstem',
         title: 'Brainstem',
         description: 'Vital functions: breathing, heart rate, consciousness',
-        color: 0xfcbad3
+        color: 0xfcbad3,
+        anchor: { x: 0.0, y: -0.85, z: -0.1 },
+        facts: [
+            'Made up of the midbrain, pons and medulla',
+            'Connects the brain to the spinal cord',
+            'Origin of ten of the twelve cranial nerves'
+        ]
     },
     piece7: {
         id: 'hippocampus',
         url: '#/hippocampus',
         title: 'Hippocampus',
         description: 'Memory formation and spatial navigation',
-        color: 0xffffd2
+        color: 0xffffd2,
+        anchor: { x: 0.45, y: -0.35, z: -0.05 },
+        facts: [
+            'Named after the seahorse for its shape',
+            'Turns short-term memories into long-term ones',
+            'One of the few places new neurons form in adults'
+        ]
     },
     piece8: {
         id: 'amygdala',
         url: '#/amygdala',
         title: 'Amygdala',
         description: 'Emotion processing and fear response',
-        color: 0xa8dadc
+        color: 0xa8dadc,
+        anchor: { x: 0.45, y: -0.4, z: 0.25 },
+        facts: [
+            'Almond-shaped cluster of nuclei',
+            'Tags memories with emotional weight',
+            'Central to the fight-or-flight response'
+        ]
     },
     piece9: {
         id: 'corpus-callosum',
         url: '#/corpus-callosum',
         title: 'Corpus Callosum',
         description: 'Communication between brain hemispheres',
-        color: 0xe63946
+        color: 0xe63946,
+        anchor: { x: 0.0, y: 0.2, z: 0.0 },
+        facts: [
+            'Largest white matter structure in the brain',
+            'About 200 million nerve fibres',
+            'Links the left and right hemispheres'
+        ]
     }
 };
 
+/**
+ * Replace the active route set
+ * Importers of `routes` see the new set straight away (live binding).
+ * @param {Object} newRoutes - Routes keyed by puzzle piece identifier
+ */
+export function setRoutes(newRoutes) {
+    routes = newRoutes;
+}
+
 /**
  * Navigate to a specific route
  * @param {string} pieceId - The puzzle piece identifier
@@ -81,8 +157,7 @@ export function navigateToRoute(pieceId) {
         // In production, you could use window.location.href for full page navigation
         window.location.href = route.url;
         
-        // Optional: Show modal or overlay instead of navigation
-        // showRouteModal(route);
+        // The hash router (router.js) opens the region panel for the new hash
     } else {
         console.warn(`Route not found for piece: ${pieceId}`);
     }
@@ -98,38 +173,59 @@ export function getRouteInfo(pieceId) {
 }
 
 /**
- * Optional: Show modal instead of navigating
- * Uncomment and customize if you want in-page modals instead of navigation
+ * Get the routes to link to as "previous" and "next" from a route
+ * Uses the route's own `previous`/`next` region ids when set, otherwise
+ * the neighbouring entries in `routes` (wrapping around)
+ * @param {string} pieceId - The puzzle piece identifier
+ * @returns {{previous: Object|null, next: Object|null}}
  */
-function showRouteModal(route) {
-    // Create modal overlay
-    const modal = document.createElement('div');
-    modal.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        background: rgba(0, 0, 0, 0.8);
-        display: flex;
-        justify-content: center;
-        align-items: center;
-        z-index: 2000;
-    `;
+export function getAdjacentRoutes(pieceId) {
+    const route = routes[pieceId];
+    if (!route) return { previous: null, next: null };
     
-    modal.innerHTML = `
-        <div style="background: white; padding: 30px; border-radius: 15px; max-width: 500px; text-align: center;">
-            <h2 style="color: #333; margin-bottom: 15px;">${route.title}</h2>
-            <p style="color: #666; margin-bottom: 20px;">${route.description}</p>
-            <button onclick="this.parentElement.parentElement.remove()" 
-                    style="padding: 10px 30px; background: #667eea; color: white; border: none; border-radius: 5px; cursor: pointer;">
-                Close
-            </button>
-        </div>
-    `;
+    const keys = Object.keys(routes);
+    const index = keys.indexOf(pieceId);
+    const byRegion = (regionId) => routes[getRouteIdByRegion(regionId)] || null;
     
-    document.body.appendChild(modal);
-    modal.addEventListener('click', (e) => {
-        if (e.target === modal) modal.remove();
+    return {
+        previous: route.previous ? byRegion(route.previous) : routes[keys[(index - 1 + keys.length) % keys.length]],
+        next: route.next ? byRegion(route.next) : routes[keys[(index + 1) % keys.length]]
+    };
+}
+
+/**
+ * Find a route by its region id (the part of the URL after '#/')
+ * @param {string} regionId - e.g. 'frontal-lobe'
+ * @returns {string|null} The puzzle piece identifier, or null if unknown
+ */
+export function getRouteIdByRegion(regionId) {
+    return Object.keys(routes).find(pieceId => routes[pieceId].id === regionId) || null;
+}
+
+/**
+ * Find the route whose region is closest to a point on the brain
+ * @param {{x: number, y: number, z: number}} position - Point normalised to the brain's bounding box (-1..1)
+ * @returns {string} The puzzle piece identifier of the nearest route
+ */
+export function getRouteForBrainPosition(position) {
+    // Regions are bilateral or on the midline, so only distance from the midline matters
+    const x = Math.abs(position.x);
+    let closestId = null;
+    let closestDistance = Infinity;
+    
+    Object.keys(routes).forEach((pieceId) => {
+        const anchor = routes[pieceId].anchor;
+        if (!anchor) return;
+        
+        const dx = x - anchor.x;
+        const dy = position.y - anchor.y;
+        const dz = position.z - anchor.z;
+        const distance = dx * dx + dy * dy + dz * dz;
+        if (distance < closestDistance) {
+            closestDistance = distance;
+            closestId = pieceId;
+        }
     });
+    
+    return closestId;
 }
@@ -0,0 +1,186 @@
+/**
+ * Timeline
+ * One clock for the multi-stage reveal. Each stage is a track with a start,
+ * a duration and an easing; events fire once at a point in time. Everything
+ * reads the same clock, so pausing, seeking or changing the speed part way
+ * through keeps the stages in step.
+ *
+ * Times are milliseconds of timeline time - at timeScale 1 that is real time.
+ */
+
+export const EASINGS = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => 1 - (1 - t) * (1 - t),
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+export class Timeline {
+    constructor({ timeScale = 1 } = {}) {
+        this.time = 0;
+        this.timeScale = timeScale;
+        this.paused = false;
+        this.tracks = [];
+        this.events = [];
+        this.listeners = { start: [], complete: [], event: [] };
+    }
+    
+    /**
+     * Add a stage
+     * @param {Object} track
+     * @param {string} track.name
+     * @param {number} [track.start=0] - When it starts, in timeline ms
+     * @param {number} [track.duration=0] - Infinity for stages that run until the timeline is reset
+     * @param {string|function(number): number} [track.easing='linear'] - Name from EASINGS or a function
+     * @param {function(number, number, number)} [track.onUpdate] - Called with (eased, progress, ms since start) each update while running
+     * @param {function()} [track.onStart]
+     * @param {function()} [track.onComplete]
+     * @returns {Object} The track
+     */
+    addTrack({ name, start = 0, duration = 0, easing = 'linear', onUpdate = null, onStart = null, onComplete = null }) {
+        const ease = typeof easing === 'function' ? easing : EASINGS[easing];
+        if (!ease) {
+            throw new Error(`Unknown easing "${easing}" for track "${name}"`);
+        }
+        
+        const track = { name, start, duration, ease, onUpdate, onStart, onComplete, state: 'pending' };
+        this.tracks.push(track);
+        return track;
+    }
+    
+    /**
+     * Add a one-off event
+     * @param {string} name
+     * @param {number} time - Timeline ms
+     * @param {function()} [callback]
+     */
+    addEvent(name, time, callback = null) {
+        this.events.push({ name, time, callback, fired: false });
+        this.events.sort((a, b) => a.time - b.time);
+    }
+    
+    getTrack(name) {
+        return this.tracks.find(track => track.name === name) || null;
+    }
+    
+    removeTrack(name) {
+        this.tracks = this.tracks.filter(track => track.name !== name);
+    }
+    
+    /**
+     * End of the last finite track or event
+     * @returns {number}
+     */
+    get duration() {
+        const ends = [
+            ...this.tracks.filter(track => Number.isFinite(track.duration)).map(track => track.start + track.duration),
+            ...this.events.map(event => event.time)
+        ];
+        return ends.length > 0 ? Math.max(...ends) : 0;
+    }
+    
+    /**
+     * Subscribe to 'start' and 'complete' (tracks) or 'event' - called with the name
+     */
+    on(type, callback) {
+        if (this.listeners[type]) {
+            this.listeners[type].push(callback);
+        }
+    }
+    
+    emit(type, name) {
+        this.listeners[type].forEach(callback => callback(name));
+    }
+    
+    /**
+     * Advance by a real-time delta, scaled by timeScale. Nothing moves while paused.
+     * @param {number} delta - Real ms since the last update
+     */
+    update(delta) {
+        if (this.paused || delta <= 0) return;
+        this.seek(this.time + delta * this.timeScale);
+    }
+    
+    /**
+     * Jump to a time. Going forwards fires the events and stage starts/ends on
+     * the way; going backwards rewinds stages to their start so they play again.
+     * @param {number} time - Timeline ms
+     */
+    seek(time) {
+        const previous = this.time;
+        this.time = Math.max(0, time);
+        
+        if (this.time < previous) {
+            this.events.forEach((event) => {
+                if (event.time > this.time) event.fired = false;
+            });
+        }
+        
+        // Events first - they may add the tracks that follow them. A callback
+        // can also reset the timeline, so skip anything no longer on it.
+        this.events.slice().forEach((event) => {
+            if (!event.fired && event.time <= this.time && this.events.includes(event)) {
+                event.fired = true;
+                if (event.callback) event.callback();
+                this.emit('event', event.name);
+            }
+        });
+        
+        this.tracks.slice().forEach((track) => {
+            if (this.tracks.includes(track)) this.evaluate(track);
+        });
+    }
+    
+    evaluate(track) {
+        const elapsed = this.time - track.start;
+        
+        if (elapsed < 0) {
+            // Rewound to before the stage - put it back to its first frame
+            if (track.state !== 'pending') {
+                track.state = 'pending';
+                if (track.onUpdate) track.onUpdate(track.ease(0), 0, 0);
+            }
+            return;
+        }
+        
+        const progress = track.duration > 0 ? Math.min(elapsed / track.duration, 1) : 1;
+        if (track.state === 'done' && progress >= 1) return;
+        
+        if (track.state === 'pending') {
+            track.state = 'active';
+            if (track.onStart) track.onStart();
+            this.emit('start', track.name);
+        }
+        
+        track.state = 'active';
+        if (track.onUpdate) track.onUpdate(track.ease(progress), progress, elapsed);
+        
+        if (progress >= 1) {
+            track.state = 'done';
+            if (track.onComplete) track.onComplete();
+            this.emit('complete', track.name);
+        }
+    }
+    
+    pause() {
+        this.paused = true;
+    }
+    
+    resume() {
+        this.paused = false;
+    }
+    
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+    
+    /**
+     * Drop every track and event and go back to 0
+     */
+    reset() {
+        this.tracks = [];
+        this.events = [];
+        this.time = 0;
+    }
+}
@@ -3,11 +3,31 @@
  * Handles scene setup, camera, lights, and orbit controls
  */
 
-import { PuzzleShapeGenerator } from './puzzle-shapes.js';
+import { PuzzleShapeGenerator, KNOB_SHAPE } from './puzzle-shapes.js';
+import { navigateToRoute, getRouteInfo, getRouteForBrainPosition, getAdjacentRoutes } from './routes.js';
+import { RegionPanel } from './region-panel.js';
+import { loadRouteManifest } from './route-manifest.js';
+import { PuzzleOverlay } from './overlay.js';
+import { createRandom, parseSeed, randomSeed } from './random.js';
+import { MAPPING_MODES, MAPPING_GLSL, resolveMappingMode, createMappingFrame, mapToGrid, getMappingSeams } from './piece-mapping.js';
+import { buildSolidPieceGeometry, SOLID_PIECE_DETAIL } from './piece-solid.js';
+import { PiecePhysics } from './piece-physics.js';
+import { Timeline, EASINGS } from './timeline.js';
+import { DEFAULT_PROFILE, resolveExperienceProfile, loadExperienceProfile } from './experience-profile.js';
+import { FrameExporter, EXPORT_FORMATS, canRecordWebM, downloadBlob } from './frame-export.js';
+import { renderImage, canvasToBlob } from './image-capture.js';
+import { fetchBytes } from './asset-loader.js';
+import { createProceduralBrain, PROCEDURAL_BRAIN_COLOR } from './procedural-brain.js';
+import { QualityManager, QUALITY_TIERS } from './quality.js';
+import { DebugHud } from './debug-hud.js';
+import { FrameProfiler } from './frame-profiler.js';
 
 export class BrainViewer {
-    constructor(containerId) {
+    constructor(containerId, options = {}) {
         this.container = document.getElementById(containerId);
+        this.options = options;
+        this.assets = options.assets || null; // AssetLoader for the model and textures (see asset-loader.js)
+        this.usingFallbackBrain = false; // True when the procedural brain stands in for the model
         this.scene = null;
         this.camera = null;
         this.renderer = null;
@@ -16,7 +36,6 @@ export class BrainViewer {
         this.greenOverlay = [];
         this.matrixOverlay = [];
         this.jigsawPieces = [];
-        this.clock = new THREE.Clock();
         this.overlayTime = 0;
         this.matrixCanvas = null;
         this.matrixTexture = null;
@@ -24,27 +43,119 @@ export class BrainViewer {
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.puzzleExploded = false;
-        this.matrixExploding = false;
-        this.matrixExplodeStart = 0;
         this.explosionSpeedMultiplier = 0.6; // Speed control multiplier (default 0.6)
         this.autoRotateSpeed = 1.0; // Spin speed multiplier
-        this.greenMelting = false;
-        this.greenMeltStart = 0;
         
-        // Puzzle configuration: 5x5 grid = 25 pieces (better visibility)
-        this.puzzleRows = 5;
-        this.puzzleCols = 5;
+        // Experience profile: grid, overlay layers, palette and reveal stages (see experience-profile.js).
+        // An object is used as is; an id or URL is loaded along with the model.
+        this.profile = resolveExperienceProfile(typeof options.profile === 'object' && options.profile ? options.profile : DEFAULT_PROFILE);
+        
+        // Brain material: electric, anatomical or the model's own - the brain-crossfade
+        // reveal stage fades to the other of electric and anatomical
+        this.brainMaterial = this.profile.brainMaterial;
+        this.brainTextures = null;        // { albedo, roughness } once loaded, either may be null
+        this.brainTexturesPromise = null;
+        this.brainCrossfade = 0;          // 0..1 of the way to the other material
+        this.brainCrossfadeReturn = 0;    // Where the crossfade was when reassembly began
+        
+        // Reveal sequence clock - the speed slider is its time scale
+        this.timeline = new Timeline({ timeScale: this.explosionSpeedMultiplier });
+        this.lastFrameTime = 0;
+        
+        // Playback: every shader, piece and stage reads a virtual clock that
+        // stands still while paused and moves a frame at a time when stepped
+        this.clockTime = 0;          // Virtual ms
+        this.paused = false;
+        this.pendingFrames = 0;      // Single steps queued while paused
+        this.frameStep = 1000 / 60;  // One step, in real ms
+        this.matrixClock = 0;        // Virtual ms not yet turned into Matrix rain steps
+        this.playbackDisplay = '';
+        
+        // Offline video export takes the render loop over while it runs
+        this.frameExporter = new FrameExporter(this);
+        this.frameExport = null;
+        
+        // Explode-only style: 'tween' flies pieces off screen, 'physics' throws them onto a floor
+        const explosionStyle = options.explosionStyle || this.profile.explosionStyle;
+        this.explosionStyle = explosionStyle === 'physics' ? 'physics' : 'tween';
+        this.physics = null;
+        
+        // Animated reassembly and the kiosk attract loop
+        this.reassembling = false;
+        this.reassemblyPromise = null;
+        this.reassemblyResolve = null;
+        this.attractLoop = null;
+        
+        // Play mode: pieces scatter around the brain and must be dragged back home
+        this.playMode = options.playMode !== undefined ? options.playMode : this.profile.mode === 'play';
+        this.snapTolerance = options.snapTolerance || 0.3; // World units from home position
+        this.puzzleSolved = false;
+        this.piecesPlaced = 0;
+        this.draggedPiece = null;
+        this.dragPointerId = null;
+        this.dragPlane = new THREE.Plane();
+        this.dragLocalPoint = new THREE.Vector3();
+        this.dragAutoRotate = false;
+        this.lastDragEnd = 0;
+        this.lastRouteOpen = 0;
+        this.brainBounds = null;
+        
+        // Deep-link support: region focus and settings listeners
+        this.router = null;
+        this.regionPanel = null; // Only used when no router is attached
+        
+        // Hover tooltips and region labels
+        this.brainMeshes = [];
+        this.hoverPointer = null;   // Last pointer position over the canvas, kept until it leaves
+        this.hoverMoved = false;    // The pointer has moved since the last raycast
+        this.hoverCamera = null;    // Camera matrix and timeline time of the last raycast
+        this.hoverTime = 0;
+        this.lastHoverCheck = 0;
+        this.hoverInterval = 50; // ms between hover raycasts
+        this.focusedRouteId = null;
+        this.cameraFocus = null;
+        this.stateChangeListeners = [];
+        
+        // Seeded randomness - the same seed gives the same shapes, colours and animations
+        this.seed = options.seed !== undefined && options.seed !== null ? parseSeed(options.seed) : randomSeed();
+        this.explosionRandom = createRandom(this.seed, 'explosion');
+        this.matrixRandom = null;
+        
+        // Puzzle configuration: 5x5 grid = 25 pieces by default (better visibility)
+        this.puzzleRows = this.profile.grid.rows;
+        this.puzzleCols = this.profile.grid.cols;
         this.puzzleGenerator = null;
+        this.pieceMapping = resolveMappingMode(options.pieceMapping); // 'planar', 'spherical' or 'cube' - see piece-mapping.js
+        this.preferSolidPieces = options.solidPieces !== false; // Thick bevelled pieces, false for thin shells
+        this.solidPieces = this.preferSolidPieces;              // Also thin at the lower quality tiers
+        this.pieceDetail = this.solidPieces ? 'bevelled' : 'thin'; // Or 'flat' - see SOLID_PIECE_DETAIL
+        
+        // Adaptive quality: ?quality=<tier> holds one tier, otherwise it follows the frame rate (see quality.js)
+        const fixedTier = options.quality && options.quality !== 'auto' ? options.quality : null;
+        this.quality = new QualityManager({
+            tier: fixedTier || 0,
+            adaptive: !fixedTier,
+            targetFps: options.targetFps || 50,
+            onChange: tier => this.applyQualityTier(tier)
+        });
+        this.matrixStepsPerDraw = this.quality.tier.matrixSteps;
+        this.qualityRebuildPending = false; // Piece detail changes wait until the puzzle is whole
+        this.debugHud = null;  // Made on first show - ?debug=1 or the backtick key
+        this.profiler = null;  // Times the phases of animate() while the HUD is up
+        this.lastHudUpdate = 0;
+        if (options.debug) this.toggleDebugHud();
         
         this.init();
         this.setupEventListeners();
         this.initMatrixCanvas();
         this.initPuzzleGenerator();
         this.setupSpeedControl();
+        this.overlay = new PuzzleOverlay(this);
         
         // Initialize dual color palettes AFTER rows/cols are set
-        this.leftBrainColors = this.generateColorPalette('warm'); // Reds, oranges, yellows
-        this.rightBrainColors = this.generateColorPalette('cool'); // Blues, purples, greens
+        this.initColorPalettes();
+        this.updateSeedDisplay();
+        console.log(`?? Puzzle seed: ${this.seed}`);
     }
 
     init() {
@@ -64,7 +175,7 @@ export class BrainViewer {
             powerPreference: 'high-performance'
         });
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.quality.tier.pixelRatio));
         
         // Ensure proper depth buffer
         this.renderer.sortObjects = true;
@@ -116,43 +227,61 @@ export class BrainViewer {
     }
 
     async loadBrainModel() {
+        // Swap in the route manifest first - pieces are linked to regions as they're built
+        if (this.options.routesManifest) {
+            const statusEl = document.getElementById('loading-status');
+            if (statusEl) {
+                statusEl.textContent = 'Loading regions...';
+            }
+            await loadRouteManifest(this.options.routesManifest);
+        }
+        
+        // A profile given by id or URL sets the grid, layers and brain material - so before anything is built
+        if (typeof this.options.profile === 'string' && this.options.profile !== '') {
+            const statusEl = document.getElementById('loading-status');
+            if (statusEl) {
+                statusEl.textContent = 'Loading experience profile...';
+            }
+            this.applyExperienceProfile(await loadExperienceProfile(this.options.profile));
+        }
+        
         const loader = new THREE.GLTFLoader();
         
         try {
-            console.log('GLTFLoader created, loading brain.glb...');
-            const gltf = await new Promise((resolve, reject) => {
-                const modelPath = 'public/brain.glb';
-                console.log('Loading model from:', modelPath);
-                
-                loader.load(
-                    modelPath,
-                    (gltf) => {
-                        console.log('Model loaded successfully:', gltf);
-                        resolve(gltf);
-                    },
-                    (progress) => {
-                        if (progress.lengthComputable) {
-                            const percent = (progress.loaded / progress.total) * 100;
-                            const statusEl = document.getElementById('loading-status');
-                            if (statusEl) {
-                                statusEl.textContent = `Loading: ${percent.toFixed(0)}%`;
-                            }
-                            if (window.console && console.log) {
-                                console.log(`Loading: ${percent.toFixed(0)}%`);
-                            }
-                        } else {
-                            const statusEl = document.getElementById('loading-status');
-                            if (statusEl) {
-                                statusEl.textContent = `Loading: ${(progress.loaded / 1024 / 1024).toFixed(1)} MB`;
-                            }
-                        }
-                    },
-                    (error) => {
-                        console.error('GLTFLoader error:', error);
-                        reject(error);
-                    }
-                );
-            });
+            // Bytes come through the asset manifest (bundled path, integrity check) when there is one
+            const statusEl = document.getElementById('loading-status');
+            const onProgress = (loaded, total) => {
+                if (!statusEl) return;
+                statusEl.textContent = total > 0
+                    ? `Loading: ${(loaded / total * 100).toFixed(0)}%`
+                    : `Loading: ${(loaded / 1024 / 1024).toFixed(1)} MB`;
+            };
+            
+            // ?brain=procedural skips the model - otherwise the built-in brain
+            // stands in when it can't be fetched or parsed (offline, broken file)
+            let gltf;
+            if (this.options.brain === 'procedural') {
+                gltf = { scene: this.createFallbackBrain('asked for with ?brain=procedural') };
+            } else {
+                try {
+                    const modelPath = this.assets ? this.assets.get('brain').path : 'public/brain.glb';
+                    console.log('Loading model from:', modelPath);
+                    const buffer = this.assets
+                        ? await this.assets.fetchAsset('brain', { onProgress })
+                        : await fetchBytes(modelPath, { onProgress });
+                    
+                    gltf = await new Promise((resolve, reject) => {
+                        const basePath = modelPath.slice(0, modelPath.lastIndexOf('/') + 1);
+                        loader.parse(buffer, basePath, resolve, (error) => {
+                            reject(new Error(`${modelPath} is not a readable glTF model (${error.message || error})`));
+                        });
+                    });
+                    console.log('Model loaded successfully:', gltf);
+                } catch (modelError) {
+                    console.warn('?? Brain model unavailable, using the built-in brain:', modelError.message);
+                    gltf = { scene: this.createFallbackBrain(modelError.message) };
+                }
+            }
 
             this.brainModel = gltf.scene;
             
@@ -166,86 +295,22 @@ export class BrainViewer {
             this.brainModel.scale.setScalar(scale);
             this.brainModel.position.sub(center.multiplyScalar(scale));
             
-            // Apply electrified brain materials
+            // The anatomical look (or a crossfade to it) needs the albedo and roughness maps first
+            if (this.brainMaterial === 'anatomical' || this.profile.reveal.stages.some(entry => entry.stage === 'brain-crossfade')) {
+                await this.loadBrainTextures();
+            }
+            
+            // Apply the profile's brain material - the model's own is kept for 'original'
             this.brainModel.traverse((child) => {
                 if (child.isMesh) {
+                    child.userData.brainMaterials = { original: child.material };
                     if (child.material) {
-                        // Create electrified shader material
-                        const originalColor = child.material.color || new THREE.Color(0x888888);
-                        
-                        // Check if this is a vein/darker area (usually darker materials)
-                        const isVein = originalColor.r < 0.3 && originalColor.g < 0.3 && originalColor.b < 0.3;
-                        
-                        const electricMaterial = new THREE.ShaderMaterial({
-                            uniforms: {
-                                time: { value: 0 },
-                                baseColor: { value: isVein ? new THREE.Color(0x001a33) : new THREE.Color(0x003322) },
-                                glowColor: { value: isVein ? new THREE.Color(0x0066ff) : new THREE.Color(0x00ff44) },
-                                pulseSpeed: { value: isVein ? 8.0 : 2.0 }, // Veins pulse faster
-                                pulseIntensity: { value: isVein ? 0.7 : 0.4 }
-                            },
-                            vertexShader: `
-                                varying vec3 vNormal;
-                                varying vec3 vPosition;
-                                
-                                void main() {
-                                    vNormal = normalize(normalMatrix * normal);
-                                    vPosition = position;
-                                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                                }
-                            `,
-                            fragmentShader: `
-                                uniform float time;
-                                uniform vec3 baseColor;
-                                uniform vec3 glowColor;
-                                uniform float pulseSpeed;
-                                uniform float pulseIntensity;
-                                varying vec3 vNormal;
-                                varying vec3 vPosition;
-                                
-                                void main() {
-                                    // Enhanced electric pulsating effect with multiple frequencies
-                                    float pulse1 = sin(time * pulseSpeed + vPosition.y * 2.0) * 0.5 + 0.5;
-                                    float pulse2 = sin(time * pulseSpeed * 0.7 + vPosition.x * 3.0) * 0.5 + 0.5;
-                                    float pulse3 = sin(time * pulseSpeed * 1.3 + vPosition.z * 2.5) * 0.5 + 0.5;
-                                    float combinedPulse = (pulse1 + pulse2 + pulse3) / 3.0;
-                                    
-                                    // Electric wave effect - traveling waves across the surface
-                                    float wave1 = sin(vPosition.x * 5.0 + time * pulseSpeed * 2.0) * 0.5 + 0.5;
-                                    float wave2 = sin(vPosition.y * 5.0 + time * pulseSpeed * 1.5) * 0.5 + 0.5;
-                                    float electricWaves = (wave1 + wave2) / 2.0;
-                                    
-                                    // Combine pulsation and waves for more dynamic effect
-                                    float electricIntensity = (combinedPulse * 0.7 + electricWaves * 0.3);
-                                    
-                                    // Fresnel for edge glow - stronger for electric effect
-                                    vec3 viewDirection = normalize(cameraPosition - vPosition);
-                                    float fresnel = pow(1.0 - abs(dot(viewDirection, vNormal)), 2.5);
-                                    
-                                    // Electric glow effect - brighter edges
-                                    float electricGlow = electricIntensity * pulseIntensity;
-                                    electricGlow += fresnel * 0.5; // Stronger edge glow
-                                    
-                                    // Mix base color with electric glow
-                                    vec3 color = mix(baseColor, glowColor, electricGlow);
-                                    color += glowColor * fresnel * 0.6; // Enhanced edge glow
-                                    
-                                    // Add electric sparkle effect
-                                    float sparkle = step(0.95, fract(sin(vPosition.x * 100.0 + vPosition.y * 100.0 + time * pulseSpeed * 5.0) * 43758.5453));
-                                    color += sparkle * glowColor * 0.5;
-                                    
-                                    gl_FragColor = vec4(color, 1.0);
-                                }
-                            `,
-                            side: THREE.FrontSide,
-                            depthWrite: true,
-                            depthTest: true
-                        });
-                        
-                        child.material = electricMaterial;
-                        child.userData.electricMaterial = electricMaterial;
+                        child.material = this.getBrainMaterial(child, this.brainMaterial);
                     }
                     
+                    // The brain itself - used for hover and label occlusion tests
+                    this.brainMeshes.push(child);
+                    
                     // Disable frustum culling to prevent disappearing
                     child.frustumCulled = false;
                     
@@ -256,6 +321,10 @@ export class BrainViewer {
             
             this.scene.add(this.brainModel);
             
+            // Brain extents (before overlays are added) - used to work out which
+            // anatomical region each puzzle piece covers
+            this.brainBounds = new THREE.Box3().setFromObject(this.brainModel);
+            
             // Add all overlay layers - but don't let this block model loading
             try {
                 this.addOverlays(this.brainModel);
@@ -267,6 +336,15 @@ export class BrainViewer {
                 // Still return the model even if overlays fail
             }
             
+            // Puzzle pieces are created in deferred callbacks - let them run so
+            // the pieces exist (e.g. for a deep link) once the model resolves
+            await new Promise(resolve => setTimeout(resolve, 0));
+            
+            this.overlay.addVisualIndicators();
+            
+            // Overlays are built at full quality - bring them down to the current tier
+            this.applyQualityTier(this.quality.tier);
+            
             return this.brainModel;
         } catch (error) {
             console.error('Error loading brain model:', error);
@@ -276,13 +354,223 @@ export class BrainViewer {
     }
 
 
+    /**
+     * Build the procedural brain in place of the model
+     * @param {string} reason - Why the model isn't used, for the loading screen
+     * @returns {THREE.Group}
+     */
+    createFallbackBrain(reason) {
+        this.usingFallbackBrain = true;
+        
+        const brainAsset = this.assets && this.assets.has('brain') ? this.assets.get('brain') : null;
+        if (brainAsset) {
+            this.assets.setState(brainAsset, 'failed', `${reason} - using the built-in brain`);
+        }
+        const statusEl = document.getElementById('loading-status');
+        if (statusEl) {
+            statusEl.textContent = 'Building the brain...';
+        }
+        
+        // Fixed stream so the folds (and the pieces cut from them) are the same on every visit
+        return createProceduralBrain({ random: createRandom(0, 'procedural-brain') });
+    }
+
+    /**
+     * The pulsing electrified look - dark green tissue, blue veins where the
+     * model is dark. Its opacity uniform is only lowered by the brain crossfade.
+     * @param {THREE.Material} original - The model's own material, for its colour
+     */
+    createElectricMaterial(original) {
+        const originalColor = (original && original.color) || new THREE.Color(0x888888);
+        
+        // Check if this is a vein/darker area (usually darker materials)
+        const isVein = originalColor.r < 0.3 && originalColor.g < 0.3 && originalColor.b < 0.3;
+        
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                baseColor: { value: isVein ? new THREE.Color(0x001a33) : new THREE.Color(0x003322) },
+                glowColor: { value: isVein ? new THREE.Color(0x0066ff) : new THREE.Color(0x00ff44) },
+                pulseSpeed: { value: isVein ? 8.0 : 2.0 }, // Veins pulse faster
+                pulseIntensity: { value: isVein ? 0.7 : 0.4 },
+                opacity: { value: 1.0 }
+            },
+            vertexShader: `
+                varying vec3 vNormal;
+                varying vec3 vPosition;
+                
+                void main() {
+                    vNormal = normalize(normalMatrix * normal);
+                    vPosition = position;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform float time;
+                uniform vec3 baseColor;
+                uniform vec3 glowColor;
+                uniform float pulseSpeed;
+                uniform float pulseIntensity;
+                uniform float opacity;
+                varying vec3 vNormal;
+                varying vec3 vPosition;
+                
+                void main() {
+                    // Enhanced electric pulsating effect with multiple frequencies
+                    float pulse1 = sin(time * pulseSpeed + vPosition.y * 2.0) * 0.5 + 0.5;
+                    float pulse2 = sin(time * pulseSpeed * 0.7 + vPosition.x * 3.0) * 0.5 + 0.5;
+                    float pulse3 = sin(time * pulseSpeed * 1.3 + vPosition.z * 2.5) * 0.5 + 0.5;
+                    float combinedPulse = (pulse1 + pulse2 + pulse3) / 3.0;
+                    
+                    // Electric wave effect - traveling waves across the surface
+                    float wave1 = sin(vPosition.x * 5.0 + time * pulseSpeed * 2.0) * 0.5 + 0.5;
+                    float wave2 = sin(vPosition.y * 5.0 + time * pulseSpeed * 1.5) * 0.5 + 0.5;
+                    float electricWaves = (wave1 + wave2) / 2.0;
+                    
+                    // Combine pulsation and waves for more dynamic effect
+                    float electricIntensity = (combinedPulse * 0.7 + electricWaves * 0.3);
+                    
+                    // Fresnel for edge glow - stronger for electric effect
+                    vec3 viewDirection = normalize(cameraPosition - vPosition);
+                    float fresnel = pow(1.0 - abs(dot(viewDirection, vNormal)), 2.5);
+                    
+                    // Electric glow effect - brighter edges
+                    float electricGlow = electricIntensity * pulseIntensity;
+                    electricGlow += fresnel * 0.5; // Stronger edge glow
+                    
+                    // Mix base color with electric glow
+                    vec3 color = mix(baseColor, glowColor, electricGlow);
+                    color += glowColor * fresnel * 0.6; // Enhanced edge glow
+                    
+                    // Add electric sparkle effect
+                    float sparkle = step(0.95, fract(sin(vPosition.x * 100.0 + vPosition.y * 100.0 + time * pulseSpeed * 5.0) * 43758.5453));
+                    color += sparkle * glowColor * 0.5;
+                    
+                    gl_FragColor = vec4(color, opacity);
+                }
+            `,
+            side: THREE.FrontSide,
+            depthWrite: true,
+            depthTest: true
+        });
+    }
+    
+    /**
+     * The anatomical look: the bundled albedo and roughness maps in a PBR
+     * material, lit by setupLights()
+     * @param {THREE.Material} original - The model's own material, for its colour when there are no maps
+     */
+    createAnatomicalMaterial(original) {
+        // The maps are baked for the model's UV layout - the built-in brain keeps its own colour
+        const textures = !this.usingFallbackBrain && this.brainTextures ? this.brainTextures : {};
+        const color = original && original.color ? original.color.clone() : new THREE.Color(PROCEDURAL_BRAIN_COLOR);
+        
+        return new THREE.MeshStandardMaterial({
+            color: textures.albedo ? new THREE.Color(0xffffff) : color,
+            map: textures.albedo || null,
+            roughnessMap: textures.roughness || null,
+            roughness: textures.roughness ? 1.0 : 0.7,
+            metalness: 0.0
+        });
+    }
+    
+    /**
+     * A brain mesh's material for a look, made the first time it's asked for
+     * @param {THREE.Mesh} mesh - One of brainMeshes
+     * @param {string} mode - 'electric', 'anatomical' or 'original'
+     * @returns {THREE.Material}
+     */
+    getBrainMaterial(mesh, mode) {
+        const materials = mesh.userData.brainMaterials;
+        if (!materials[mode]) {
+            if (mode === 'electric') {
+                materials.electric = this.createElectricMaterial(materials.original);
+                mesh.userData.electricMaterial = materials.electric; // Its time uniform follows the clock
+            } else if (mode === 'anatomical') {
+                materials.anatomical = this.createAnatomicalMaterial(materials.original);
+            } else {
+                throw new Error(`Unknown brain material "${mode}"`);
+            }
+        }
+        return materials[mode];
+    }
+    
+    /**
+     * Fetch the albedo and roughness maps through the asset manifest, once.
+     * Both are optional - a missing map leaves the anatomical brain plainer.
+     * @returns {Promise<{albedo: ?THREE.Texture, roughness: ?THREE.Texture}>}
+     */
+    loadBrainTextures() {
+        if (!this.brainTexturesPromise) {
+            const load = (id) => {
+                if (!this.assets || !this.assets.has(id)) return Promise.resolve(null);
+                return this.assets.loadTexture(id)
+                    .then((texture) => {
+                        texture.flipY = false; // glTF UVs start at the top
+                        return texture;
+                    })
+                    .catch((error) => {
+                        console.warn(`?? ${error.message} - the anatomical brain goes without it`);
+                        return null;
+                    });
+            };
+            
+            const statusEl = document.getElementById('loading-status');
+            if (statusEl) {
+                statusEl.textContent = 'Loading brain textures...';
+            }
+            this.brainTexturesPromise = Promise.all([load('brain-albedo'), load('brain-roughness')])
+                .then(([albedo, roughness]) => {
+                    this.brainTextures = { albedo, roughness };
+                    return this.brainTextures;
+                });
+        }
+        return this.brainTexturesPromise;
+    }
+    
+    /**
+     * Switch the brain's look, e.g. from the control panel. Any crossfade goes
+     * back to its start first.
+     * @param {string} mode - 'electric', 'anatomical' or 'original'
+     */
+    async setBrainMaterial(mode) {
+        if (mode === 'anatomical') {
+            await this.loadBrainTextures();
+        }
+        
+        this.updateBrainCrossfade(0);
+        this.brainMaterial = mode;
+        this.brainMeshes.forEach((mesh) => {
+            if (mesh.userData.brainMaterials.original) {
+                mesh.material = this.getBrainMaterial(mesh, mode);
+            }
+        });
+        
+        const brainMaterialSelect = document.getElementById('brain-material');
+        if (brainMaterialSelect) brainMaterialSelect.value = mode;
+        
+        console.log(`?? Brain material: ${mode}`);
+    }
+
     initPuzzleGenerator() {
         // Initialize the puzzle shape generator
-        this.puzzleGenerator = new PuzzleShapeGenerator(this.puzzleRows, this.puzzleCols);
+        this.puzzleGenerator = new PuzzleShapeGenerator(
+            this.puzzleRows,
+            this.puzzleCols,
+            createRandom(this.seed, 'shapes'),
+            getMappingSeams(this.pieceMapping, this.puzzleRows, this.puzzleCols)
+        );
         console.log(`Puzzle generator initialized: ${this.puzzleRows}x${this.puzzleCols} = ${this.puzzleRows * this.puzzleCols} pieces`);
     }
 
-    generateColorPalette(type) {
+    initColorPalettes() {
+        // Both palettes come from one seeded stream so a seed always gives the same colours
+        const random = createRandom(this.seed, 'palette');
+        this.frontBrainColors = this.generateColorPalette('warm', random); // Reds, oranges, yellows
+        this.backBrainColors = this.generateColorPalette('cool', random); // Blues, purples, greens
+    }
+
+    generateColorPalette(type, random = Math.random) {
         // Generate color palette for one brain hemisphere
         const colors = [];
         const pieceCount = (this.puzzleRows * this.puzzleCols) / 2; // Half for each side
@@ -291,8 +579,8 @@ export class BrainViewer {
             // Warm colors: reds, oranges, yellows, pinks
             for (let i = 0; i < pieceCount; i++) {
                 const hue = (i * 60 / pieceCount) % 60; // 0-60 degrees (red-yellow)
-                const saturation = 70 + Math.random() * 20; // 70-90%
-                const lightness = 50 + Math.random() * 15;  // 50-65%
+                const saturation = 70 + random() * 20; // 70-90%
+                const lightness = 50 + random() * 15;  // 50-65%
                 
                 const color = this.hslToRgb(hue / 360, saturation / 100, lightness / 100);
                 colors.push((color.r << 16) | (color.g << 8) | color.b);
@@ -301,8 +589,8 @@ export class BrainViewer {
             // Cool colors: blues, purples, greens, teals
             for (let i = 0; i < pieceCount; i++) {
                 const hue = 180 + (i * 120 / pieceCount); // 180-300 degrees (cyan-purple)
-                const saturation = 70 + Math.random() * 20;
-                const lightness = 50 + Math.random() * 15;
+                const saturation = 70 + random() * 20;
+                const lightness = 50 + random() * 15;
                 
                 const color = this.hslToRgb(hue / 360, saturation / 100, lightness / 100);
                 colors.push((color.r << 16) | (color.g << 8) | color.b);
@@ -315,18 +603,19 @@ export class BrainViewer {
     generatePuzzleColors(count) {
         // Ensure color palettes are initialized
         if (!this.frontBrainColors || !this.backBrainColors) {
-            this.frontBrainColors = this.generateColorPalette('warm');
-            this.backBrainColors = this.generateColorPalette('cool');
+            this.initColorPalettes();
         }
         
         // Combine front and back brain colors using checkerboard to avoid mirroring
+        // ('front-back' profiles: warm front rows, cool back rows like v7)
         const colors = [];
+        const frontBack = this.profile.palette === 'front-back';
         
         // Checkerboard pattern - prevents mirroring on opposite sides
         for (let i = 0; i < count; i++) {
             const row = Math.floor(i / this.puzzleCols);
             const col = i % this.puzzleCols;
-            const isWarm = (row + col) % 2 === 0;
+            const isWarm = frontBack ? row < this.puzzleRows / 2 : (row + col) % 2 === 0;
             
             if (isWarm) {
                 const idx = i % this.frontBrainColors.length;
@@ -413,10 +702,11 @@ export class BrainViewer {
     }
 
     initMatrixCanvas() {
-        // Create canvas for Matrix rain texture
+        // Create canvas for Matrix rain texture - smaller at the lower quality tiers
+        const size = this.quality.tier.matrixSize;
         this.matrixCanvas = document.createElement('canvas');
-        this.matrixCanvas.width = 1024;
-        this.matrixCanvas.height = 1024;
+        this.matrixCanvas.width = size;
+        this.matrixCanvas.height = size;
         this.matrixCtx = this.matrixCanvas.getContext('2d');
         
         // Matrix letters - include MIFF text that appears randomly
@@ -427,18 +717,13 @@ export class BrainViewer {
         this.miffLetters = ['M', 'I', 'F', 'F'];
         this.miffFrequency = 0.15; // 15% chance to show MIFF letter instead of random
         
-        // Small font size for lots of letters
-        const fontSize = 12;
+        // Small font size for lots of letters - 12px at 1024, so the rain looks the same at any size
+        const fontSize = 12 * size / 1024;
         const columns = this.matrixCanvas.width / fontSize;
         
-        // Initialize drops
-        this.matrixDrops = [];
-        for (let i = 0; i < columns; i++) {
-            this.matrixDrops[i] = Math.random() * -100;
-        }
-        
         this.matrixFontSize = fontSize;
         this.matrixColumns = columns;
+        this.resetMatrixDrops();
         
         // Create texture
         this.matrixTexture = new THREE.CanvasTexture(this.matrixCanvas);
@@ -446,11 +731,26 @@ export class BrainViewer {
         this.matrixTexture.wrapT = THREE.RepeatWrapping;
     }
 
-    updateMatrixCanvas() {
+    resetMatrixDrops() {
+        // Rain has its own stream so frame count never shifts the puzzle's numbers
+        this.matrixRandom = createRandom(this.seed, 'matrix');
+        
+        this.matrixDrops = [];
+        for (let i = 0; i < this.matrixColumns; i++) {
+            this.matrixDrops[i] = this.matrixRandom() * -100;
+        }
+    }
+
+    /**
+     * Draw the Matrix rain
+     * @param {number} [steps=1] - 60 Hz rain steps since the last draw - more than one at the lower quality tiers
+     */
+    updateMatrixCanvas(steps = 1) {
         const ctx = this.matrixCtx;
+        const random = this.matrixRandom;
         
-        // Fade effect
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.05)';
+        // Fade effect - as much as the steps it stands for
+        ctx.fillStyle = `rgba(0, 0, 0, ${(1 - Math.pow(0.95, steps)).toFixed(4)})`;
         ctx.fillRect(0, 0, this.matrixCanvas.width, this.matrixCanvas.height);
         
         // Draw Matrix letters
@@ -459,12 +759,12 @@ export class BrainViewer {
         for (let i = 0; i < this.matrixDrops.length; i++) {
             // Random letter - sometimes from MIFF
             let text;
-            if (Math.random() < this.miffFrequency) {
+            if (random() < this.miffFrequency) {
                 // Use MIFF letter
-                text = this.miffLetters[Math.floor(Math.random() * this.miffLetters.length)];
+                text = this.miffLetters[Math.floor(random() * this.miffLetters.length)];
             } else {
                 // Use random letter
-                text = this.matrixLetters[Math.floor(Math.random() * this.matrixLetters.length)];
+                text = this.matrixLetters[Math.floor(random() * this.matrixLetters.length)];
             }
             
             // Bright green for leading characters
@@ -478,10 +778,10 @@ export class BrainViewer {
                 if (trailY > 0) {
                     // Also include MIFF letters in trail
                     let trailText;
-                    if (Math.random() < this.miffFrequency) {
-                        trailText = this.miffLetters[Math.floor(Math.random() * this.miffLetters.length)];
+                    if (random() < this.miffFrequency) {
+                        trailText = this.miffLetters[Math.floor(random() * this.miffLetters.length)];
                     } else {
-                        trailText = this.matrixLetters[Math.floor(Math.random() * this.matrixLetters.length)];
+                        trailText = this.matrixLetters[Math.floor(random() * this.matrixLetters.length)];
                     }
                     const alpha = 1 - (j / 5);
                     ctx.fillStyle = `rgba(0, 255, 0, ${alpha})`;
@@ -489,12 +789,12 @@ export class BrainViewer {
                 }
             }
             
-            // Move drop down
-            this.matrixDrops[i]++;
-            
-            // Reset drop
-            if (this.matrixDrops[i] * this.matrixFontSize > this.matrixCanvas.height && Math.random() > 0.975) {
-                this.matrixDrops[i] = 0;
+            // Move drop down, and reset it once it's off the bottom
+            for (let step = 0; step < steps; step++) {
+                this.matrixDrops[i]++;
+                if (this.matrixDrops[i] * this.matrixFontSize > this.matrixCanvas.height && random() > 0.975) {
+                    this.matrixDrops[i] = 0;
+                }
             }
         }
         
@@ -507,86 +807,99 @@ export class BrainViewer {
     addOverlays(brainModel) {
         // We'll divide the brain into puzzle pieces
         let meshIndex = 0;
+        const layers = this.profile.layers; // Which overlays to build, and how far out
         
         brainModel.traverse((child) => {
             if (child.isMesh && child.geometry) {
                 try {
                     const overlayGeometry = child.geometry.clone();
                 
-                // LAYER 1: Green glowy shader base (1.22x)
-                const glowMaterial = new THREE.ShaderMaterial({
-                    uniforms: {
-                        time: { value: 0 },
-                        baseColor: { value: new THREE.Color(0x00ff44) },
-                        glowColor: { value: new THREE.Color(0x00ffaa) },
-                        opacity: { value: 0.85 } // For fade control
-                    },
-                    vertexShader: `
-                        varying vec3 vNormal;
-                        varying vec3 vWorldPosition;
-                        
-                        void main() {
-                            vNormal = normalize(normalMatrix * normal);
-                            vec4 worldPos = modelMatrix * vec4(position, 1.0);
-                            vWorldPosition = worldPos.xyz;
-                            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                        }
-                    `,
-                    fragmentShader: `
-                        uniform float time;
-                        uniform vec3 baseColor;
-                        uniform vec3 glowColor;
-                        uniform float opacity;
-                        varying vec3 vNormal;
-                        varying vec3 vWorldPosition;
-                        
-                        void main() {
-                            vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
-                            float fresnel = pow(1.0 - abs(dot(viewDirection, vNormal)), 2.5);
-                            float flow = sin(vWorldPosition.y * 3.0 + vWorldPosition.x * 2.0 + time * 2.0) * 0.3 + 0.7;
+                // LAYER 1: Green glowy shader base
+                if (layers.green.enabled) {
+                    const glowMaterial = new THREE.ShaderMaterial({
+                        uniforms: {
+                            time: { value: 0 },
+                            baseColor: { value: new THREE.Color(0x00ff44) },
+                            glowColor: { value: new THREE.Color(0x00ffaa) },
+                            opacity: { value: 0.85 }, // For fade control
+                            melt: { value: 0 }, // 0..1 - green-melt reveal stage
+                            meltRange: { value: new THREE.Vector2(-2, 2) } // World Y the melt line sweeps from top to bottom
+                        },
+                        vertexShader: `
+                            varying vec3 vNormal;
+                            varying vec3 vWorldPosition;
                             
-                            vec3 finalColor = baseColor * flow;
-                            finalColor += glowColor * fresnel * 1.5;
-                            finalColor = max(finalColor, baseColor * 0.6);
+                            void main() {
+                                vNormal = normalize(normalMatrix * normal);
+                                vec4 worldPos = modelMatrix * vec4(position, 1.0);
+                                vWorldPosition = worldPos.xyz;
+                                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                            }
+                        `,
+                        fragmentShader: `
+                            uniform float time;
+                            uniform vec3 baseColor;
+                            uniform vec3 glowColor;
+                            uniform float opacity;
+                            uniform float melt;
+                            uniform vec2 meltRange;
+                            varying vec3 vNormal;
+                            varying vec3 vWorldPosition;
                             
-                            gl_FragColor = vec4(finalColor, opacity);
-                        }
-                    `,
-                    transparent: true,
-                    side: THREE.DoubleSide,
-                    depthWrite: false,
-                    depthTest: true,
-                    blending: THREE.NormalBlending
-                });
-                
-                const glowMesh = new THREE.Mesh(overlayGeometry.clone(), glowMaterial);
-                glowMesh.position.copy(child.position);
-                glowMesh.rotation.copy(child.rotation);
-                glowMesh.scale.copy(child.scale).multiplyScalar(1.42); // Increased from 1.22 to 1.32 (10% larger)
-                this.greenOverlay.push(glowMesh);
-                
-                if (child.parent) child.parent.add(glowMesh);
-                else this.scene.add(glowMesh);
-                
-                // LAYER 2: Matrix letters (1.25x)
-                const matrixMaterial = new THREE.MeshBasicMaterial({
-                    map: this.matrixTexture,
-                    transparent: true,
-                    opacity: 0.9,
-                    side: THREE.DoubleSide,
-                    blending: THREE.AdditiveBlending,
-                    depthWrite: false,
-                    depthTest: true
-                });
-                
-                const matrixMesh = new THREE.Mesh(overlayGeometry.clone(), matrixMaterial);
-                matrixMesh.position.copy(child.position);
-                matrixMesh.rotation.copy(child.rotation);
-                matrixMesh.scale.copy(child.scale).multiplyScalar(1.45); // Increased from 1.25 to 1.35 (10% larger)
-                this.matrixOverlay.push(matrixMesh);
+                            void main() {
+                                vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+                                float fresnel = pow(1.0 - abs(dot(viewDirection, vNormal)), 2.5);
+                                float flow = sin(vWorldPosition.y * 3.0 + vWorldPosition.x * 2.0 + time * 2.0) * 0.3 + 0.7;
+                                
+                                vec3 finalColor = baseColor * flow;
+                                finalColor += glowColor * fresnel * 1.5;
+                                finalColor = max(finalColor, baseColor * 0.6);
+                                
+                                // Melt: a wavy line runs down the brain and everything above it drains away
+                                float meltLine = mix(meltRange.y, meltRange.x, melt) + sin(vWorldPosition.x * 25.0 + vWorldPosition.z * 17.0) * 0.06 * melt;
+                                float drained = smoothstep(meltLine - 0.08, meltLine + 0.08, vWorldPosition.y);
+                                
+                                gl_FragColor = vec4(finalColor, opacity * (1.0 - drained));
+                            }
+                        `,
+                        transparent: true,
+                        side: THREE.DoubleSide,
+                        depthWrite: false,
+                        depthTest: true,
+                        blending: THREE.NormalBlending
+                    });
+                    
+                    const glowMesh = new THREE.Mesh(overlayGeometry.clone(), glowMaterial);
+                    glowMesh.position.copy(child.position);
+                    glowMesh.rotation.copy(child.rotation);
+                    glowMesh.scale.copy(child.scale).multiplyScalar(layers.green.scale); // 1.42 in v8 onwards (1.32 in v7)
+                    this.greenOverlay.push(glowMesh);
+                    
+                    if (child.parent) child.parent.add(glowMesh);
+                    else this.scene.add(glowMesh);
+                }
                 
-                if (child.parent) child.parent.add(matrixMesh);
-                else this.scene.add(matrixMesh);
+                // LAYER 2: Matrix letters
+                if (layers.matrix.enabled) {
+                    const matrixMaterial = new THREE.MeshBasicMaterial({
+                        map: this.matrixTexture,
+                        transparent: true,
+                        opacity: 0.9,
+                        side: THREE.DoubleSide,
+                        blending: THREE.AdditiveBlending,
+                        depthWrite: false,
+                        depthTest: true
+                    });
+                    
+                    const matrixMesh = new THREE.Mesh(overlayGeometry.clone(), matrixMaterial);
+                    matrixMesh.position.copy(child.position);
+                    matrixMesh.rotation.copy(child.rotation);
+                    matrixMesh.scale.copy(child.scale).multiplyScalar(layers.matrix.scale); // 1.45 in v8 onwards (1.35 in v7)
+                    this.matrixOverlay.push(matrixMesh);
+                    
+                    if (child.parent) child.parent.add(matrixMesh);
+                    else this.scene.add(matrixMesh);
+                }
                 
                 // LAYER 3: Create jigsaw puzzle pieces - use improved method
                 // Wrap in try-catch to prevent errors from stopping model display
@@ -795,11 +1108,12 @@ export class BrainViewer {
                 }
             }
         });
+        */
         
-        console.log(`? 3 overlay layers created:
-  - Green glow shader (1.22x scale)
-  - Matrix rain letters (1.25x scale) 
-  - ${this.jigsawPieces.length} Jigsaw puzzle pieces with proper shapes (1.28x scale)`);
+        console.log(`? Overlay layers created:
+  - Green glow shader (${layers.green.enabled ? `${layers.green.scale}x scale` : 'off'})
+  - Matrix rain letters (${layers.matrix.enabled ? `${layers.matrix.scale}x scale` : 'off'})
+  - Jigsaw puzzle pieces with proper shapes (${layers.pieces.scale}x scale)`);
     }
 
     REMOVE_createPuzzlePiecesForMesh(originalMesh, geometry, meshIndex) {
@@ -959,6 +1273,17 @@ export class BrainViewer {
         // Click handler for puzzle pieces
         this.renderer.domElement.addEventListener('click', (event) => this.handleClick(event), false);
         this.renderer.domElement.addEventListener('touchend', (event) => this.handleClick(event), false);
+        
+        // Drag pieces back home in play mode (mouse and touch via pointer events).
+        // Capture on the container so OrbitControls never sees a piece grab.
+        this.container.addEventListener('pointerdown', (event) => this.onPointerDown(event), true);
+        window.addEventListener('pointermove', (event) => this.onPointerMove(event), false);
+        window.addEventListener('pointerup', (event) => this.onPointerUp(event), false);
+        window.addEventListener('pointercancel', (event) => this.onPointerUp(event), false);
+        
+        // Hover tooltips
+        this.renderer.domElement.addEventListener('pointermove', (event) => this.onHoverMove(event), false);
+        this.renderer.domElement.addEventListener('pointerleave', () => this.onHoverLeave(), false);
     }
     
     setupSpeedControl() {
@@ -977,19 +1302,7 @@ export class BrainViewer {
         
         if (speedSlider && speedValue) {
             speedSlider.addEventListener('input', (e) => {
-                this.explosionSpeedMultiplier = parseFloat(e.target.value);
-                speedValue.textContent = this.explosionSpeedMultiplier.toFixed(1) + 'x';
-                
-                // Update existing animations if explosion has started
-                if (this.puzzleExploded) {
-                    this.jigsawPieces.forEach((piece) => {
-                        if (piece.userData.animation) {
-                            const originalDuration = piece.userData.animation.originalDuration || piece.userData.animation.duration;
-                            piece.userData.animation.originalDuration = originalDuration;
-                            piece.userData.animation.duration = originalDuration / this.explosionSpeedMultiplier;
-                        }
-                    });
-                }
+                this.setExplosionSpeed(parseFloat(e.target.value));
             });
         }
         
@@ -999,16 +1312,7 @@ export class BrainViewer {
         
         if (spinSlider && spinValue) {
             spinSlider.addEventListener('input', (e) => {
-                this.autoRotateSpeed = parseFloat(e.target.value);
-                spinValue.textContent = this.autoRotateSpeed.toFixed(1) + 'x';
-                if (this.controls) {
-                    this.controls.autoRotateSpeed = 1.0 * this.autoRotateSpeed;
-                    if (this.autoRotateSpeed === 0) {
-                        this.controls.autoRotate = false;
-                    } else {
-                        this.controls.autoRotate = true;
-                    }
-                }
+                this.setSpinSpeed(parseFloat(e.target.value));
             });
         }
         
@@ -1019,6 +1323,7 @@ export class BrainViewer {
                 const [rows, cols] = e.target.value.split('x').map(Number);
                 if (!this.puzzleExploded) {
                     this.changePuzzleSize(rows, cols);
+                    this.notifyStateChange();
                 } else {
                     alert('Please restart the puzzle first to change size.');
                     // Reset to current size
@@ -1027,6 +1332,71 @@ export class BrainViewer {
             });
         }
         
+        // Play mode control
+        const playModeSelect = document.getElementById('play-mode');
+        if (playModeSelect) {
+            playModeSelect.value = this.playMode ? 'play' : 'explode';
+            playModeSelect.addEventListener('change', (e) => {
+                if (!this.puzzleExploded) {
+                    this.playMode = e.target.value === 'play';
+                    this.updatePuzzleProgress();
+                } else {
+                    alert('Please restart the puzzle first to change mode.');
+                    playModeSelect.value = this.playMode ? 'play' : 'explode';
+                }
+            });
+        }
+        
+        // Explosion style control (explode-only mode)
+        const explosionStyleSelect = document.getElementById('explosion-style');
+        if (explosionStyleSelect) {
+            explosionStyleSelect.value = this.explosionStyle;
+            explosionStyleSelect.addEventListener('change', (e) => {
+                if (!this.puzzleExploded) {
+                    this.explosionStyle = e.target.value === 'physics' ? 'physics' : 'tween';
+                } else {
+                    alert('Please restart the puzzle first to change the explosion style.');
+                    explosionStyleSelect.value = this.explosionStyle;
+                }
+            });
+        }
+        
+        // Brain material control - electric, anatomical or the model's own
+        const brainMaterialSelect = document.getElementById('brain-material');
+        if (brainMaterialSelect) {
+            brainMaterialSelect.value = this.brainMaterial;
+            brainMaterialSelect.addEventListener('change', (e) => {
+                this.setBrainMaterial(e.target.value);
+            });
+        }
+        
+        // Region labels toggle
+        const labelsToggle = document.getElementById('show-labels');
+        if (labelsToggle) {
+            labelsToggle.addEventListener('change', (e) => {
+                this.overlay.setLabelsVisible(e.target.checked);
+            });
+        }
+        
+        // Seed control - type a number (or any text) and press Enter, or roll a new one
+        const seedInput = document.getElementById('puzzle-seed');
+        if (seedInput) {
+            seedInput.addEventListener('change', (e) => {
+                if (e.target.value.trim() === '') {
+                    this.updateSeedDisplay();
+                    return;
+                }
+                this.setSeed(e.target.value);
+            });
+        }
+        const newSeedBtn = document.getElementById('new-seed-btn');
+        if (newSeedBtn) {
+            newSeedBtn.addEventListener('click', () => {
+                this.setSeed(randomSeed());
+            });
+        }
+        this.updateSeedDisplay();
+        
         // Restart button
         const restartBtn = document.getElementById('restart-btn');
         if (restartBtn) {
@@ -1034,6 +1404,204 @@ export class BrainViewer {
                 this.restart();
             });
         }
+        
+        // Reassemble button - animated restart
+        const reassembleBtn = document.getElementById('reassemble-btn');
+        if (reassembleBtn) {
+            reassembleBtn.addEventListener('click', () => {
+                this.reassemble();
+            });
+        }
+        
+        // Playback - pause, single-frame step and a scrub slider over the reveal timeline
+        const pauseBtn = document.getElementById('pause-btn');
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => this.togglePause());
+        }
+        const stepBtn = document.getElementById('step-btn');
+        if (stepBtn) {
+            stepBtn.addEventListener('click', () => this.stepFrame());
+        }
+        const scrubSlider = document.getElementById('timeline-scrub');
+        if (scrubSlider) {
+            scrubSlider.addEventListener('input', (e) => {
+                this.scrubTo(parseFloat(e.target.value));
+            });
+        }
+        
+        // Space pauses, '.' steps, '`' shows the debug HUD - unless typing in a field
+        document.addEventListener('keydown', (e) => {
+            if (e.target.closest && e.target.closest('input, select, textarea, button, [contenteditable]')) return;
+            if (e.code === 'Space') {
+                e.preventDefault();
+                this.togglePause();
+            } else if (e.key === '.') {
+                this.stepFrame();
+            } else if (e.code === 'Backquote') {
+                this.toggleDebugHud();
+            }
+        });
+        this.updatePlaybackControls();
+        
+        // Video export - WebM only where MediaRecorder can record the canvas
+        const exportFormatSelect = document.getElementById('export-format');
+        if (exportFormatSelect && !canRecordWebM()) {
+            const webm = exportFormatSelect.querySelector('option[value="webm"]');
+            if (webm) webm.disabled = true;
+        }
+        const exportBtn = document.getElementById('export-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportReveal());
+        }
+        
+        // Screenshot - the size picked next to the camera button
+        const captureBtn = document.getElementById('capture-btn');
+        if (captureBtn) {
+            captureBtn.addEventListener('click', () => this.saveScreenshot());
+        }
+    }
+    
+    /**
+     * Set the explosion speed and keep the slider in sync
+     */
+    setExplosionSpeed(value) {
+        this.explosionSpeedMultiplier = value;
+        
+        const speedSlider = document.getElementById('explosion-speed');
+        const speedValue = document.getElementById('speed-value');
+        if (speedSlider) speedSlider.value = value;
+        if (speedValue) speedValue.textContent = value.toFixed(1) + 'x';
+        
+        // Running stages speed up or slow down in step
+        this.timeline.setTimeScale(value);
+        
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Set the auto-rotate speed and keep the slider in sync
+     */
+    setSpinSpeed(value) {
+        this.autoRotateSpeed = value;
+        
+        const spinSlider = document.getElementById('spin-speed');
+        const spinValue = document.getElementById('spin-value');
+        if (spinSlider) spinSlider.value = value;
+        if (spinValue) spinValue.textContent = value.toFixed(1) + 'x';
+        
+        if (this.controls) {
+            this.controls.autoRotateSpeed = 1.0 * this.autoRotateSpeed;
+            // A focused region holds the camera still
+            this.controls.autoRotate = this.autoRotateSpeed !== 0 && !this.focusedRouteId;
+        }
+        
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Change the seed and rebuild the puzzle from it
+     * @param {number|string} value - Whole number, or any text (hashed)
+     */
+    setSeed(value) {
+        this.seed = parseSeed(value);
+        console.log(`?? Puzzle seed: ${this.seed}`);
+        
+        // New shapes only make sense on an assembled puzzle
+        if (this.puzzleExploded) {
+            this.restart();
+        }
+        
+        this.initColorPalettes();
+        this.resetMatrixDrops();
+        this.changePuzzleSize(this.puzzleRows, this.puzzleCols);
+        
+        this.updateSeedDisplay();
+        this.notifyStateChange();
+    }
+    
+    updateSeedDisplay() {
+        const seedInput = document.getElementById('puzzle-seed');
+        if (seedInput) seedInput.value = String(this.seed);
+    }
+    
+    /**
+     * Snapshot of the user-adjustable settings (used for deep links)
+     */
+    getViewState() {
+        return {
+            size: `${this.puzzleRows}x${this.puzzleCols}`,
+            speed: this.explosionSpeedMultiplier,
+            spin: this.autoRotateSpeed,
+            seed: this.seed
+        };
+    }
+    
+    onStateChange(listener) {
+        this.stateChangeListeners.push(listener);
+    }
+    
+    notifyStateChange() {
+        const state = this.getViewState();
+        this.stateChangeListeners.forEach(listener => listener(state));
+    }
+    
+    /**
+     * Turn the camera towards a brain region and hold it there
+     * @param {string} routeId - Route key, e.g. 'piece5'
+     */
+    focusRegion(routeId) {
+        const target = this.getRegionCenter(routeId);
+        if (!target) return;
+        
+        this.focusedRouteId = routeId;
+        this.controls.autoRotate = false;
+        
+        // Look at the region from outside the brain, same distance as now
+        const orbitCenter = this.controls.target;
+        const direction = target.clone().sub(orbitCenter);
+        if (direction.lengthSq() < 1e-6) {
+            direction.set(0, 0, 1);
+        }
+        direction.normalize();
+        const distance = this.camera.position.distanceTo(orbitCenter);
+        
+        this.cameraFocus = {
+            startTime: this.clockTime,
+            duration: 1000,
+            startPos: this.camera.position.clone(),
+            targetPos: orbitCenter.clone().add(direction.multiplyScalar(distance))
+        };
+    }
+    
+    clearRegionFocus() {
+        this.focusedRouteId = null;
+        this.cameraFocus = null;
+        this.controls.autoRotate = this.autoRotateSpeed !== 0;
+    }
+    
+    /**
+     * World-space centre of a region: the average of its pieces' surface
+     * patches, or its route anchor if no piece covers it
+     */
+    getRegionCenter(routeId) {
+        const center = new THREE.Vector3();
+        let count = 0;
+        this.jigsawPieces.forEach(piece => {
+            if (piece.userData.routeId === routeId && piece.userData.surfaceCentroid) {
+                center.add(piece.userData.surfaceCentroid);
+                count++;
+            }
+        });
+        if (count > 0) {
+            return center.divideScalar(count);
+        }
+        
+        const route = getRouteInfo(routeId);
+        if (!route || !route.anchor || !this.brainBounds) return null;
+        
+        const halfSize = this.brainBounds.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+        return this.brainBounds.getCenter(center)
+            .add(new THREE.Vector3(route.anchor.x, route.anchor.y, route.anchor.z).multiply(halfSize));
     }
     
     createPuzzlePiecesForMesh(child) {
@@ -1041,35 +1609,70 @@ export class BrainViewer {
         const totalPieces = this.puzzleRows * this.puzzleCols;
         const colors = this.generatePuzzleColors(totalPieces);
         
+        // Every piece of this mesh shares one home transform: the mesh's own, scaled up
+        child.updateWorldMatrix(true, false);
+        const homeMatrix = new THREE.Matrix4().compose(
+            child.position,
+            child.quaternion,
+            child.scale.clone().multiplyScalar(this.profile.layers.pieces.scale)
+        );
+        if (child.parent) homeMatrix.premultiply(child.parent.matrixWorld);
+        
+        // Cut the mesh into per-piece triangle lists once, instead of drawing
+        // the whole brain for every piece
+        const mappingFrame = createMappingFrame(overlayGeometry, homeMatrix);
+        const { parts, vertexGrid } = this.partitionPieceGeometry(overlayGeometry, homeMatrix, child.matrixWorld, mappingFrame);
+        
         for (let i = 0; i < totalPieces; i++) {
             const row = Math.floor(i / this.puzzleCols);
             const col = i % this.puzzleCols;
+            const part = parts[i];
             
             // Create shader material
             const pieceMaterial = new THREE.ShaderMaterial({
+                defines: {
+                    MAPPING: MAPPING_MODES.indexOf(this.pieceMapping),
+                    SOLID_PIECE: this.solidPieces ? 1 : 0
+                },
                 uniforms: {
                     time: { value: 0 },
                     pieceColor: { value: new THREE.Color(colors[i]) },
                     pieceRow: { value: row },
                     pieceCol: { value: col },
                     totalRows: { value: this.puzzleRows },
-                    totalCols: { value: this.puzzleCols }
+                    totalCols: { value: this.puzzleCols },
+                    // Top, right, bottom, left from the shape generator: 1 tab, -1 blank, 0 straight
+                    pieceEdges: { value: new THREE.Vector4(...this.puzzleGenerator.getEdgeValues(i)) },
+                    homeMatrix: { value: new THREE.Matrix4() }, // Set once the piece is parented
+                    mappingCenter: { value: new THREE.Vector3() },
+                    mappingScale: { value: new THREE.Vector3(1, 1, 1) }
                 },
                 vertexShader: `
+                    uniform mat4 homeMatrix;
                     varying vec2 vUv;
                     varying vec3 vWorldPosition;
+                    varying vec3 vHomePosition;
                     varying vec3 vNormal;
                     
                     void main() {
                         vUv = uv;
                         vNormal = normalize(normalMatrix * normal);
                         
+                    #if SOLID_PIECE
+                        // Solid pieces are already built off the surface
+                        vec3 extrudedPosition = position;
+                    #else
                         // Extrude outward along normal for depth effect
                         vec3 extrudedPosition = position + normal * 0.08;
+                    #endif
                         
                         vec4 worldPos = modelMatrix * vec4(extrudedPosition, 1.0);
                         vWorldPosition = worldPos.xyz;
                         
+                        // Where this fragment sits when the piece is home - keeps the
+                        // piece's shape fixed while it flies around or is dragged
+                        vHomePosition = (homeMatrix * vec4(extrudedPosition, 1.0)).xyz;
+                        
                         gl_Position = projectionMatrix * modelViewMatrix * vec4(extrudedPosition, 1.0);
                     }
                 `,
@@ -1079,85 +1682,56 @@ export class BrainViewer {
                     uniform float pieceCol;
                     uniform float totalRows;
                     uniform float totalCols;
+                    uniform vec4 pieceEdges;
                     varying vec3 vWorldPosition;
+                    varying vec3 vHomePosition;
                     varying vec3 vNormal;
+                    ${MAPPING_GLSL}
+                    // Same outline maths as PuzzleShapeGenerator.getPieceDistance()
+                    float boxDistance(vec2 p, vec2 halfSize) {
+                        vec2 q = abs(p) - halfSize;
+                        return length(max(q, 0.0)) + min(max(q.x, q.y), 0.0);
+                    }
+                    
+                    // Round-headed knob sticking out towards +v from an edge at v = 0
+                    float knobDistance(vec2 p) {
+                        float head = length(p - vec2(0.0, ${KNOB_SHAPE.headOffset.toFixed(3)})) - ${KNOB_SHAPE.headRadius.toFixed(3)};
+                        float neckHalf = ${(KNOB_SHAPE.headOffset / 2 + 0.025).toFixed(3)};
+                        float neck = boxDistance(p - vec2(0.0, ${(KNOB_SHAPE.headOffset / 2 - 0.025).toFixed(3)}), vec2(${KNOB_SHAPE.neck.toFixed(3)}, neckHalf));
+                        return min(head, neck);
+                    }
+                    
+                    // Tabs grow the piece into the neighbour, blanks cut the same shape out
+                    float applyEdge(float d, float edgeValue, vec2 p) {
+                        if (edgeValue > 0.5) return min(d, knobDistance(p));
+                        if (edgeValue < -0.5) return max(d, -knobDistance(vec2(p.x, -p.y)));
+                        return d;
+                    }
                     
                     void main() {
-                        // Map world position to grid
-                        vec2 gridPos = (vWorldPosition.xy + 1.5) / 3.0;
-                        vec2 gridCoord = gridPos * vec2(totalCols, totalRows);
-                        vec2 gridCell = floor(gridCoord);
-                        
-                        float currentCol = mod(gridCell.x + totalCols * 10.0, totalCols);
-                        float currentRow = mod(gridCell.y + totalRows * 10.0, totalRows);
-                        
-                        if (abs(currentCol - pieceCol) > 0.01 || abs(currentRow - pieceRow) > 0.01) {
-                            discard;
-                        }
-                        
-                        vec2 cellUV = fract(gridCoord);
+                        // Map home position to grid
+                        vec2 gridSize = vec2(totalCols, totalRows);
+                        vec2 gridCoord = mapToGrid(vHomePosition, gridSize);
                         
-                        // Improved puzzle piece shape with proper Bezier curves for tabs/blanks
-                        float puzzleShape = 1.0;
-                        float tabSize = 0.25;
-                        float tabDepth = 0.2;
-                        
-                        // Top edge
-                        if (cellUV.y < tabDepth) {
-                            float distFromMidX = abs(cellUV.x - 0.5);
-                            if (distFromMidX < tabSize) {
-                                // Create smoother tab/blank using Bezier-like curve
-                                float t = (distFromMidX / tabSize);
-                                float bezier = t * t * (3.0 - 2.0 * t); // Smoothstep
-                                float tabY = bezier * tabDepth;
-                                
-                                float hasTab = step(0.5, mod(pieceCol, 2.0)); // 1.0 if tab, 0.0 if blank
-                                float tabCondition = step(cellUV.y, tabY) * (1.0 - hasTab) + step(tabY, cellUV.y) * hasTab;
-                                if (tabCondition < 0.5) discard;
-                            }
-                        }
+                        // Position relative to this piece's cell (0..1 inside it), wrapped like the grid
+                        vec2 local = gridCoord - vec2(pieceCol, pieceRow);
+                        local -= gridSize * floor((local - 0.5) / gridSize + 0.5);
                         
-                        // Bottom edge
-                        if (cellUV.y > 1.0 - tabDepth) {
-                            float distFromMidX = abs(cellUV.x - 0.5);
-                            if (distFromMidX < tabSize) {
-                                float t = (distFromMidX / tabSize);
-                                float bezier = t * t * (3.0 - 2.0 * t);
-                                float tabY = 1.0 - bezier * tabDepth;
-                                
-                                float hasTab = step(0.5, mod(pieceCol + 1.0, 2.0));
-                                float tabCondition = step(tabY, cellUV.y) * (1.0 - hasTab) + step(cellUV.y, tabY) * hasTab;
-                                if (tabCondition < 0.5) discard;
-                            }
-                        }
+                        // Interlocking outline from the generator's edge layout
+                        float d = boxDistance(local - 0.5, vec2(0.5));
+                        d = applyEdge(d, pieceEdges.x, vec2(local.x - 0.5, -local.y));       // Top (previous row)
+                        d = applyEdge(d, pieceEdges.y, vec2(local.y - 0.5, local.x - 1.0));  // Right
+                        d = applyEdge(d, pieceEdges.z, vec2(local.x - 0.5, local.y - 1.0));  // Bottom (next row)
+                        d = applyEdge(d, pieceEdges.w, vec2(local.y - 0.5, -local.x));       // Left
                         
-                        // Left edge
-                        if (cellUV.x < tabDepth) {
-                            float distFromMidY = abs(cellUV.y - 0.5);
-                            if (distFromMidY < tabSize) {
-                                float t = (distFromMidY / tabSize);
-                                float bezier = t * t * (3.0 - 2.0 * t);
-                                float tabX = bezier * tabDepth;
-                                
-                                float hasTab = step(0.5, mod(pieceRow, 2.0));
-                                float tabCondition = step(tabX, cellUV.x) * (1.0 - hasTab) + step(cellUV.x, tabX) * hasTab;
-                                if (tabCondition < 0.5) discard;
-                            }
+                    #if SOLID_PIECE == 0
+                        // Boundary triangles are shared with the neighbour - trim to the exact outline
+                        if (d > 0.0) {
+                            discard;
                         }
+                    #endif
                         
-                        // Right edge
-                        if (cellUV.x > 1.0 - tabDepth) {
-                            float distFromMidY = abs(cellUV.y - 0.5);
-                            if (distFromMidY < tabSize) {
-                                float t = (distFromMidY / tabSize);
-                                float bezier = t * t * (3.0 - 2.0 * t);
-                                float tabX = 1.0 - bezier * tabDepth;
-                                
-                                float hasTab = step(0.5, mod(pieceRow + 1.0, 2.0));
-                                float tabCondition = step(cellUV.x, tabX) * (1.0 - hasTab) + step(tabX, cellUV.x) * hasTab;
-                                if (tabCondition < 0.5) discard;
-                            }
-                        }
+                        vec2 cellUV = clamp(local, 0.0, 1.0);
                         
                         // Lighting for depth
                         vec3 lightDir = normalize(vec3(1.0, 1.0, 1.0));
@@ -1165,13 +1739,9 @@ export class BrainViewer {
                         float lighting = 0.3 + 0.7 * NdotL;
                         float specular = pow(NdotL, 64.0) * 0.2;
                         
-                        // Edges
+                        // Edges follow the outline, tabs and blanks included
                         float edgeThickness = 0.04;
-                        float edge = 0.0;
-                        if (cellUV.x < edgeThickness || cellUV.x > 1.0 - edgeThickness ||
-                            cellUV.y < edgeThickness || cellUV.y > 1.0 - edgeThickness) {
-                            edge = 0.4;
-                        }
+                        float edge = d > -edgeThickness ? 0.4 : 0.0;
                         
                         vec3 color = pieceColor;
                         color *= (0.85 + cellUV.x * 0.1 + cellUV.y * 0.1);
@@ -1188,10 +1758,13 @@ export class BrainViewer {
                 depthTest: true
             });
             
-            const pieceMesh = new THREE.Mesh(overlayGeometry.clone(), pieceMaterial);
+            const pieceGeometry = this.solidPieces
+                ? this.createSolidPieceGeometry(overlayGeometry, part, i, vertexGrid)
+                : this.createPieceGeometry(overlayGeometry, part);
+            const pieceMesh = new THREE.Mesh(pieceGeometry, pieceMaterial);
             pieceMesh.position.copy(child.position);
             pieceMesh.rotation.copy(child.rotation);
-            pieceMesh.scale.copy(child.scale).multiplyScalar(1.60);
+            pieceMesh.scale.copy(child.scale).multiplyScalar(this.profile.layers.pieces.scale);
             
             pieceMesh.userData.originalPosition = pieceMesh.position.clone();
             pieceMesh.userData.originalRotation = pieceMesh.rotation.clone();
@@ -1201,41 +1774,404 @@ export class BrainViewer {
             pieceMesh.userData.pieceIndex = i;
             pieceMesh.userData.row = row;
             pieceMesh.userData.col = col;
+            pieceMesh.userData.placed = false;
             
             this.jigsawPieces.push(pieceMesh);
             
             if (child.parent) child.parent.add(pieceMesh);
             else this.scene.add(pieceMesh);
+            
+            // Freeze the home transform - the shader and drag picking both use it
+            pieceMesh.updateWorldMatrix(true, false);
+            pieceMesh.userData.homeMatrix = pieceMesh.matrixWorld.clone();
+            pieceMesh.userData.homeWorldPosition = new THREE.Vector3().setFromMatrixPosition(pieceMesh.matrixWorld);
+            pieceMaterial.uniforms.homeMatrix.value = pieceMesh.userData.homeMatrix;
+            
+            pieceMesh.userData.mappingFrame = mappingFrame;
+            pieceMaterial.uniforms.mappingCenter.value.copy(mappingFrame.center);
+            pieceMaterial.uniforms.mappingScale.value.copy(mappingFrame.halfSize);
+            
+            // Pieces with no triangles can never be seen or dragged
+            pieceMesh.userData.isEmpty = part.indices.length === 0;
+            if (!pieceMesh.userData.isEmpty) {
+                pieceMesh.userData.homeCentroid = part.homeCentroid;
+                this.assignPieceRoute(pieceMesh, part.centroid);
+            }
+        }
+    }
+    
+    /**
+     * Split the overlay geometry into one triangle list per piece.
+     * Every vertex belongs to exactly one piece (tabs and blanks included). A
+     * triangle goes to each piece owning one of its corners or its middle, so
+     * boundary triangles are shared and the shader trims them to the outline.
+     * Also collects where each piece sits on the brain surface and in home space.
+     * @returns {{parts: Array<{indices: number[], centroid: THREE.Vector3, homeCentroid: THREE.Vector3}>, vertexGrid: Float32Array}}
+     *          One part per piece, and every vertex's grid position (x, y pairs)
+     */
+    partitionPieceGeometry(geometry, homeMatrix, surfaceMatrix, mappingFrame) {
+        const parts = [];
+        for (let i = 0; i < this.puzzleRows * this.puzzleCols; i++) {
+            parts.push({ indices: [], centroid: new THREE.Vector3(), homeCentroid: new THREE.Vector3() });
+        }
+        
+        const positions = geometry.attributes.position;
+        const normals = geometry.attributes.normal;
+        if (!positions) return { parts, vertexGrid: new Float32Array(0) };
+        
+        // Home position of every vertex (with the vertex shader's 0.08 extrusion) and its piece
+        const homePositions = new Float32Array(positions.count * 3);
+        const vertexGrid = new Float32Array(positions.count * 2);
+        const owners = new Int32Array(positions.count);
+        const vertex = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+        for (let v = 0; v < positions.count; v++) {
+            vertex.fromBufferAttribute(positions, v);
+            if (normals) {
+                vertex.add(normal.fromBufferAttribute(normals, v).multiplyScalar(0.08));
+            }
+            vertex.applyMatrix4(homeMatrix);
+            vertex.toArray(homePositions, v * 3);
+            
+            const grid = mapToGrid(vertex, this.pieceMapping, mappingFrame, this.puzzleRows, this.puzzleCols);
+            vertexGrid[v * 2] = grid.x;
+            vertexGrid[v * 2 + 1] = grid.y;
+            owners[v] = this.puzzleGenerator.getPieceAt(grid.x, grid.y);
+        }
+        
+        const index = geometry.index;
+        const triangleCount = Math.floor((index ? index.count : positions.count) / 3);
+        const corners = [0, 0, 0];
+        const homeMiddle = new THREE.Vector3();
+        const surfaceMiddle = new THREE.Vector3();
+        const pieces = [];
+        
+        for (let t = 0; t < triangleCount; t++) {
+            homeMiddle.set(0, 0, 0);
+            surfaceMiddle.set(0, 0, 0);
+            for (let k = 0; k < 3; k++) {
+                corners[k] = index ? index.getX(t * 3 + k) : t * 3 + k;
+                homeMiddle.add(vertex.fromArray(homePositions, corners[k] * 3));
+                surfaceMiddle.add(vertex.fromBufferAttribute(positions, corners[k]));
+            }
+            homeMiddle.divideScalar(3);
+            surfaceMiddle.divideScalar(3).applyMatrix4(surfaceMatrix);
+            
+            pieces.length = 0;
+            pieces.push(this.getPieceAtHomePoint(homeMiddle, mappingFrame));
+            corners.forEach((corner) => {
+                if (!pieces.includes(owners[corner])) pieces.push(owners[corner]);
+            });
+            
+            pieces.forEach((pieceIndex) => {
+                const part = parts[pieceIndex];
+                part.indices.push(corners[0], corners[1], corners[2]);
+                part.centroid.add(surfaceMiddle);
+                part.homeCentroid.add(homeMiddle);
+            });
         }
+        
+        parts.forEach((part) => {
+            const triangles = part.indices.length / 3;
+            if (triangles > 0) {
+                part.centroid.divideScalar(triangles);
+                part.homeCentroid.divideScalar(triangles);
+            }
+        });
+        return { parts, vertexGrid };
+    }
+    
+    /**
+     * Geometry holding just one piece's triangles.
+     * Shares the overlay's vertex buffers, so only the index is new.
+     */
+    createPieceGeometry(source, part) {
+        const geometry = new THREE.BufferGeometry();
+        Object.keys(source.attributes).forEach((name) => {
+            geometry.setAttribute(name, source.attributes[name]);
+        });
+        
+        const positions = source.attributes.position;
+        const IndexArray = positions.count > 65535 ? Uint32Array : Uint16Array;
+        geometry.setIndex(new THREE.BufferAttribute(new IndexArray(part.indices), 1));
+        
+        // Bounds of this piece only (plus the shader's extrusion) - tighter culling and raycasts
+        const box = new THREE.Box3();
+        const vertex = new THREE.Vector3();
+        part.indices.forEach(i => box.expandByPoint(vertex.fromBufferAttribute(positions, i)));
+        if (!box.isEmpty()) box.expandByScalar(0.08);
+        geometry.boundingBox = box;
+        geometry.boundingSphere = box.isEmpty() ? new THREE.Sphere() : box.getBoundingSphere(new THREE.Sphere());
+        
+        return geometry;
+    }
+    
+    /**
+     * Thick bevelled piece cut from its triangles along the jigsaw outline
+     */
+    createSolidPieceGeometry(source, part, pieceIndex, vertexGrid) {
+        return buildSolidPieceGeometry(
+            source.attributes.position,
+            source.attributes.normal,
+            part.indices,
+            v => this.puzzleGenerator.getPieceDistanceAt(pieceIndex, vertexGrid[v * 2], vertexGrid[v * 2 + 1]),
+            SOLID_PIECE_DETAIL[this.pieceDetail]
+        );
+    }
+    
+    /**
+     * Link a piece to the brain region its surface patch sits over.
+     * Works from the piece's 3D centroid, so any grid size maps sensibly.
+     */
+    assignPieceRoute(piece, centroid) {
+        const routeId = this.getRouteForPoint(centroid);
+        if (!routeId) return;
+        
+        piece.userData.surfaceCentroid = centroid.clone();
+        piece.userData.routeId = routeId;
+        piece.userData.route = getRouteInfo(routeId);
+    }
+    
+    /**
+     * Route of the brain region nearest a world-space point
+     */
+    getRouteForPoint(point) {
+        if (!this.brainBounds || this.brainBounds.isEmpty()) return null;
+        
+        // Normalise into the brain's bounding box: -1..1 on every axis
+        const center = this.brainBounds.getCenter(new THREE.Vector3());
+        const halfSize = this.brainBounds.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+        return getRouteForBrainPosition(point.clone().sub(center).divide(halfSize));
+    }
+    
+    /**
+     * A point on the outside of the brain for a region, for labels.
+     * Casts inward from outside the brain through the region centre.
+     */
+    getRegionSurfacePoint(routeId) {
+        const regionCenter = this.getRegionCenter(routeId);
+        if (!regionCenter || !this.brainBounds) return null;
+        
+        const brainCenter = this.brainBounds.getCenter(new THREE.Vector3());
+        const direction = regionCenter.clone().sub(brainCenter);
+        if (direction.lengthSq() < 1e-6) {
+            direction.set(0, 0, 1);
+        }
+        direction.normalize();
+        
+        const reach = this.brainBounds.getSize(new THREE.Vector3()).length() * 2;
+        const origin = brainCenter.clone().add(direction.clone().multiplyScalar(reach));
+        const raycaster = new THREE.Raycaster(origin, direction.clone().negate());
+        const hits = raycaster.intersectObjects(this.brainMeshes, false);
+        if (hits.length === 0) return regionCenter;
+        
+        // Lift slightly off the surface so the occlusion test doesn't hit it
+        return hits[0].point.add(direction.multiplyScalar(0.02));
+    }
+    
+    /**
+     * Route under a screen position: a visible piece first, otherwise the bare brain
+     */
+    getRouteAt(clientX, clientY) {
+        const pieces = this.jigsawPieces.filter(p => p.visible && p.userData.route && !p.userData.isEmpty);
+        const hit = this.pickPiece(clientX, clientY, pieces);
+        if (hit) return hit.piece.userData.routeId;
+        
+        // pickPiece() has already aimed the raycaster at the pointer
+        const brainHits = this.raycaster.intersectObjects(this.brainMeshes, false);
+        return brainHits.length > 0 ? this.getRouteForPoint(brainHits[0].point) : null;
+    }
+    
+    onHoverMove(event) {
+        // No hover on touch - a tap is a click
+        if (event.pointerType === 'touch') return;
+        this.hoverPointer = { x: event.clientX, y: event.clientY };
+        this.hoverMoved = true;
+    }
+    
+    onHoverLeave() {
+        this.hoverPointer = null;
+        this.overlay.hideTooltip();
+    }
+    
+    /**
+     * Throttled hover raycast, run from animate() with the latest pointer position.
+     * A still pointer is checked again while the camera turns or the pieces move,
+     * as something else can come under it.
+     */
+    updateHover() {
+        if (!this.hoverPointer) return;
+        
+        const now = Date.now();
+        if (now - this.lastHoverCheck < this.hoverInterval) return;
+        
+        const cameraMatrix = this.camera.matrixWorld;
+        const viewMoved = !this.hoverCamera || !this.hoverCamera.equals(cameraMatrix) || this.timeline.time !== this.hoverTime;
+        if (!this.hoverMoved && !viewMoved) return;
+        
+        this.lastHoverCheck = now;
+        this.hoverMoved = false;
+        this.hoverCamera = cameraMatrix.clone();
+        this.hoverTime = this.timeline.time;
+        
+        const { x, y } = this.hoverPointer;
+        
+        const routeId = this.draggedPiece ? null : this.getRouteAt(x, y);
+        if (routeId) {
+            this.overlay.showTooltip(routeId, x, y);
+        } else {
+            this.overlay.hideTooltip();
+        }
+    }
+    
+    /**
+     * Navigate to the brain region a piece belongs to and show its info
+     */
+    openPieceRoute(piece) {
+        const route = piece.userData.route;
+        if (!route) return;
+        
+        this.lastRouteOpen = Date.now();
+        if (this.router) {
+            // The router updates the URL, focuses the camera and opens the panel
+            this.router.navigate(route.id);
+        } else {
+            navigateToRoute(piece.userData.routeId);
+            if (!this.regionPanel) {
+                this.regionPanel = new RegionPanel();
+            }
+            this.regionPanel.open(route, getAdjacentRoutes(piece.userData.routeId));
+        }
+    }
+    
+    /**
+     * Piece owning a point given in home world space, tabs and blanks included
+     * Mirrors the mapping and outline in the piece fragment shader
+     * @param {THREE.Vector3} point
+     * @param {Object} [mappingFrame] - The piece's frame, needed for spherical/cube mapping
+     * @returns {number} Piece index
+     */
+    getPieceAtHomePoint(point, mappingFrame = null) {
+        const grid = mapToGrid(point, this.pieceMapping, mappingFrame, this.puzzleRows, this.puzzleCols);
+        return this.puzzleGenerator.getPieceAt(grid.x, grid.y);
+    }
+    
+    /**
+     * Is a world-space point on a piece inside its jigsaw outline (tabs included)?
+     * Works wherever the piece currently is. Mirrors the fragment shader's discard.
+     */
+    isPointOnPiece(piece, worldPoint) {
+        // Solid pieces are cut to the outline already - any hit counts
+        if (this.solidPieces) return true;
+        
+        const homePoint = piece.worldToLocal(worldPoint.clone()).applyMatrix4(piece.userData.homeMatrix);
+        const grid = mapToGrid(homePoint, this.pieceMapping, piece.userData.mappingFrame, this.puzzleRows, this.puzzleCols);
+        return this.puzzleGenerator.getPieceDistanceAt(piece.userData.pieceIndex, grid.x, grid.y) <= 0;
+    }
+    
+    /**
+     * Switch to another experience profile. Grid, palette, mode, brain material
+     * and reveal stages change straight away; layer scales are used when the
+     * model is built, so pass the profile before loadBrainModel().
+     * @param {Object} profile - A validated profile (see experience-profile.js)
+     */
+    applyExperienceProfile(profile) {
+        if (this.puzzleExploded) {
+            this.restart();
+        }
+        
+        this.profile = resolveExperienceProfile(profile);
+        this.playMode = this.profile.mode === 'play';
+        this.explosionStyle = this.profile.explosionStyle;
+        
+        const playModeSelect = document.getElementById('play-mode');
+        if (playModeSelect) playModeSelect.value = this.playMode ? 'play' : 'explode';
+        const explosionStyleSelect = document.getElementById('explosion-style');
+        if (explosionStyleSelect) explosionStyleSelect.value = this.explosionStyle;
+        
+        // A built brain changes look now, otherwise loadBrainModel() picks it up
+        if (this.brainMeshes.length > 0) {
+            this.setBrainMaterial(this.profile.brainMaterial);
+        } else {
+            this.brainMaterial = this.profile.brainMaterial;
+            const brainMaterialSelect = document.getElementById('brain-material');
+            if (brainMaterialSelect) brainMaterialSelect.value = this.brainMaterial;
+        }
+        
+        // Title the page after the profile, so ?profile=v9 doesn't claim to be v12
+        const title = document.querySelector('#info-panel h1');
+        if (title) title.textContent = `🧩 ${this.profile.name} (${this.profile.id})`;
+        document.title = `${this.profile.name} - 3D Brain Puzzle`;
+        
+        this.initColorPalettes();
+        this.changePuzzleSize(this.profile.grid.rows, this.profile.grid.cols);
+        
+        console.log(`?? Experience profile: ${this.profile.name} (${this.profile.id})`);
     }
     
     changePuzzleSize(rows, cols) {
         this.puzzleRows = rows;
         this.puzzleCols = cols;
-        this.puzzleGenerator = new PuzzleShapeGenerator(rows, cols);
+        this.puzzleGenerator = new PuzzleShapeGenerator(rows, cols, createRandom(this.seed, 'shapes'), getMappingSeams(this.pieceMapping, rows, cols));
+        
+        // Keep the size dropdown in sync, adding an entry for non-standard sizes
+        const puzzleSizeSelect = document.getElementById('puzzle-size');
+        if (puzzleSizeSelect) {
+            const value = `${rows}x${cols}`;
+            if (!Array.from(puzzleSizeSelect.options).some(option => option.value === value)) {
+                puzzleSizeSelect.add(new Option(`${value} (${rows * cols} pieces)`, value));
+            }
+            puzzleSizeSelect.value = value;
+        }
         
-        // Clear existing pieces
+        // Clear existing pieces, freeing their GPU buffers and shader programs -
+        // quality tier changes rebuild them all, so this runs again and again on a
+        // kiosk. Thin pieces share their mesh's vertex buffers, but the whole set
+        // goes at once, so the shared buffers can go with them.
         this.jigsawPieces.forEach(piece => {
             if (piece.parent) piece.parent.remove(piece);
             else this.scene.remove(piece);
+            piece.geometry.dispose();
+            piece.material.dispose();
         });
         this.jigsawPieces = [];
         
-        // Regenerate overlays
-        if (this.brainModel) {
-            this.brainModel.traverse((child) => {
-                if (child.isMesh && child.geometry) {
-                    this.createPuzzlePiecesForMesh(child);
-                }
-            });
-        }
+        // Regenerate overlays - for the brain's own meshes, not the overlay layers or crossfade twins
+        this.brainMeshes.forEach((child) => {
+            if (child.geometry) {
+                this.createPuzzlePiecesForMesh(child);
+            }
+        });
+        
+        // Regions covered can change with the grid
+        this.overlay.addVisualIndicators();
+        this.updatePuzzleProgress();
     }
     
-    restart() {
-        // Reset explosion state
+    /**
+     * Put everything back as it was on load
+     * @param {Object} [options]
+     * @param {boolean} [options.fromAttractLoop=false] - The kiosk loop's own restart; any other stops the loop
+     */
+    restart({ fromAttractLoop = false } = {}) {
+        // Someone else restarting takes over from the attract loop - its hold
+        // waits on the timeline, which is about to be dropped
+        if (!fromAttractLoop) {
+            this.stopAttractLoop();
+        }
+        
+        // Reset explosion state - dropping the timeline cancels any stage still to come
+        this.timeline.reset();
         this.puzzleExploded = false;
-        this.matrixExploding = false;
-        this.greenMelting = false;
+        this.physics = null;
+        this.reassembling = false;
+        
+        // Reset play state
+        this.puzzleSolved = false;
+        this.piecesPlaced = 0;
+        if (this.draggedPiece) {
+            this.endDrag();
+        }
         
         // Reset green overlay
         this.greenOverlay.forEach(mesh => {
@@ -1243,22 +2179,34 @@ export class BrainViewer {
             if (mesh.material.uniforms && mesh.material.uniforms.opacity) {
                 mesh.material.uniforms.opacity.value = 0.85;
             }
+            if (mesh.material.uniforms && mesh.material.uniforms.melt) {
+                mesh.material.uniforms.melt.value = 0;
+            }
             if (mesh.userData.greenMelt) {
                 mesh.position.copy(mesh.userData.greenMelt.startPos);
             }
         });
         
+        // Reset the brain's material
+        this.updateBrainCrossfade(0);
+        this.brainCrossfadeReturn = 0;
+        
         // Reset matrix overlay
         this.matrixOverlay.forEach(mesh => {
             mesh.visible = true;
             if (mesh.material.opacity !== undefined) {
                 mesh.material.opacity = 0.9;
             }
+            if (mesh.userData.matrixAnim) {
+                mesh.position.copy(mesh.userData.matrixAnim.startPos);
+                mesh.rotation.copy(mesh.userData.matrixAnim.startRot);
+            }
         });
         
         // Reset puzzle pieces
         this.jigsawPieces.forEach(piece => {
             piece.visible = true;
+            piece.userData.placed = false;
             if (piece.userData.animation) {
                 delete piece.userData.animation;
             }
@@ -1277,6 +2225,7 @@ export class BrainViewer {
         });
         
         // Reset camera
+        this.clearRegionFocus();
         this.camera.position.set(0, 0, 6);
         this.controls.reset();
         
@@ -1286,17 +2235,244 @@ export class BrainViewer {
             infoPanel.style.opacity = '1';
         }
         
+        this.updatePuzzleProgress();
+        
+        // A quality change that waited for the puzzle to be whole
+        if (this.qualityRebuildPending) {
+            this.applyQualityTier(this.quality.tier);
+        }
+        
         console.log('?? Puzzle restarted!');
+        
+        // Let a waiting reassemble() (or the attract loop) carry on
+        if (this.reassemblyResolve) {
+            const resolve = this.reassemblyResolve;
+            this.reassemblyResolve = null;
+            resolve();
+        }
     }
     
-    handleClick(event) {
-        if (this.puzzleExploded) return;
+    /**
+     * Animated restart: each piece plays its userData.animation record
+     * backwards (last out, first back; physics pieces their recorded path),
+     * the green overlay fades back in and the Matrix
+     * layer returns. Ends with restart(), so the state matches a fresh load.
+     * @param {Object} [options]
+     * @param {boolean} [options.fromAttractLoop=false] - The kiosk loop's own reassembly; any other stops the loop
+     * @returns {Promise<void>} Resolves once the puzzle is whole again
+     */
+    reassemble({ fromAttractLoop = false } = {}) {
+        if (!fromAttractLoop) {
+            this.stopAttractLoop();
+        }
+        if (!this.puzzleExploded) return Promise.resolve();
+        if (this.reassembling) return this.reassemblyPromise;
+        
+        console.log('?? Reassembling the puzzle!');
+        this.physics = null;
+        const draggedPiece = this.draggedPiece;
+        if (draggedPiece) {
+            this.endDrag();
+        }
+        this.clearRegionFocus();
+        
+        this.reassembling = true;
+        const explosionTime = this.timeline.time; // How far the way out got
+        
+        // Pieces still on their way-out record play it backwards. One that was
+        // dragged has left its path, so it flies straight home instead.
+        const replayed = [];
+        const returning = [];
+        this.jigsawPieces.forEach((piece) => {
+            const anim = piece.userData.animation;
+            if (anim && !anim.isReassemble && !anim.dropped && piece !== draggedPiece) replayed.push(piece);
+            else returning.push(piece);
+        });
+        
+        // The explosion's stages are done with - reassembly runs on a fresh timeline
+        this.timeline.reset();
+        
+        // Start times mirror the explosion's - pieces that left last come back first
+        const lastLeft = Math.max(0, ...replayed.map(piece => piece.userData.animation.startTime));
+        let endTime = 2500;
+        replayed.forEach((piece) => {
+            const anim = piece.userData.animation;
+            let from = Math.min(Math.max(explosionTime - anim.startTime, 0), anim.duration);
+            let duration = from;
+            if (anim.isPhysics) {
+                // The recorded fall, squeezed into at most 2.5s
+                from = anim.path[anim.path.length - 1].time;
+                duration = Math.min(from, 2500);
+            }
+            anim.reverse = {
+                startTime: lastLeft - anim.startTime,
+                duration,
+                from,                                   // ms into the record to play back from
+                clock: explosionTime - anim.startTime   // Wobble and bob carry on forwards
+            };
+            endTime = Math.max(endTime, anim.reverse.startTime + duration);
+        });
+        
+        // The rest, last out first back as well
+        const baseDuration = 2000;
+        returning.sort((a, b) => {
+            const leftA = a.userData.animation ? a.userData.animation.startTime : 0;
+            const leftB = b.userData.animation ? b.userData.animation.startTime : 0;
+            return leftB - leftA;
+        });
+        returning.forEach((piece, index) => {
+            const originalPos = piece.userData.originalPosition || new THREE.Vector3(0, 0, 0);
+            const originalRot = piece.userData.originalRotation || new THREE.Euler(0, 0, 0);
+            const originalScale = piece.userData.originalScale || new THREE.Vector3(1, 1, 1);
+            
+            // Hidden pieces faded out at the far end of their path - fade back in from there
+            const startOpacity = piece.visible && piece.material.opacity !== undefined ? piece.material.opacity : 0;
+            piece.visible = true;
+            
+            piece.userData.animation = {
+                isReassemble: true,
+                startTime: index * 40,
+                duration: baseDuration,
+                startPos: piece.position.clone(),
+                startQuat: piece.quaternion.clone(),
+                startScale: piece.scale.clone(),
+                startOpacity,
+                targetPos: originalPos.clone(),
+                targetQuat: new THREE.Quaternion().setFromEuler(originalRot),
+                targetScale: originalScale.clone()
+            };
+        });
+        
+        // Overlays fade back in from wherever their fade-out got to.
+        // A melted green layer runs its melt backwards instead.
+        this.greenOverlay.forEach((mesh) => {
+            const uniforms = mesh.material.uniforms;
+            const opacity = uniforms && uniforms.opacity ? uniforms.opacity.value : mesh.material.opacity;
+            const melt = uniforms && uniforms.melt ? uniforms.melt.value : 0;
+            mesh.userData.overlayReturn = {
+                startOpacity: mesh.visible || melt > 0 ? opacity : 0,
+                targetOpacity: 0.85,
+                startMelt: melt
+            };
+            if (mesh.userData.greenMelt) {
+                mesh.position.copy(mesh.userData.greenMelt.startPos);
+            }
+            mesh.visible = true;
+        });
+        this.matrixOverlay.forEach((mesh) => {
+            mesh.userData.overlayReturn = { startOpacity: mesh.visible ? mesh.material.opacity : 0, targetOpacity: 0.9 };
+            // A spiralled or dripped layer comes back in place
+            if (mesh.userData.matrixAnim) {
+                mesh.position.copy(mesh.userData.matrixAnim.startPos);
+                mesh.rotation.copy(mesh.userData.matrixAnim.startRot);
+            }
+            mesh.visible = true;
+        });
+        // ...and the brain fades back from its crossfade
+        this.brainCrossfadeReturn = this.brainCrossfade;
+        
+        if (returning.length > 0) {
+            endTime = Math.max(endTime, baseDuration + returning.length * 40);
+        }
+        this.addPieceTrack();
+        this.timeline.addTrack({
+            name: 'overlay-return',
+            duration: 2500,
+            onUpdate: progress => this.updateOverlayReturn(progress)
+        });
+        
+        // Swing the camera back to where restart() will put it
+        if (this.controls.position0) {
+            const cameraStart = this.camera.position.clone();
+            this.timeline.addTrack({
+                name: 'camera-return',
+                duration: endTime,
+                easing: 'easeInOutCubic',
+                onUpdate: progress => this.camera.position.lerpVectors(cameraStart, this.controls.position0, progress)
+            });
+        }
+        
+        // Everything is home - reset the remaining state
+        this.timeline.addEvent('reassembled', endTime, () => this.restart({ fromAttractLoop }));
+        
+        this.reassemblyPromise = new Promise(resolve => {
+            this.reassemblyResolve = resolve;
+        });
+        return this.reassemblyPromise;
+    }
+    
+    /**
+     * Kiosk attract loop: explode, hold on the reveal, reassemble, rest, repeat.
+     * Any click or touch on the scene stops it, as does a restart or reassembly
+     * from anywhere else (the buttons, a new seed).
+     * @param {Object} [options]
+     * @param {number} [options.holdTime=9000] - Timeline ms from explosion to reassembly
+     * @param {number} [options.restTime=4000] - ms the whole puzzle is shown between runs
+     */
+    startAttractLoop({ holdTime = 9000, restTime = 4000 } = {}) {
+        if (this.attractLoop) return;
+        console.log('?? Attract loop started');
+        
+        // release() lets whatever the loop is waiting on go, so a stopped loop ends
+        const loop = { timer: null, release: null };
+        this.attractLoop = loop;
+        const wait = (ms) => new Promise(resolve => {
+            loop.release = resolve;
+            loop.timer = setTimeout(resolve, ms);
+        });
         
+        const run = async () => {
+            await this.reassemble({ fromAttractLoop: true });
+            while (this.attractLoop === loop) {
+                await wait(restTime);
+                if (this.attractLoop !== loop) return;
+                this.explodeAllPieces();
+                
+                // Hold on the timeline, so it follows the speed slider
+                await new Promise(resolve => {
+                    loop.release = resolve;
+                    this.timeline.addEvent('attract-hold', holdTime, resolve);
+                });
+                if (this.attractLoop !== loop) return;
+                await this.reassemble({ fromAttractLoop: true });
+            }
+        };
+        run();
+    }
+    
+    stopAttractLoop() {
+        const loop = this.attractLoop;
+        if (!loop) return;
+        this.attractLoop = null;
+        clearTimeout(loop.timer);
+        if (loop.release) loop.release();
+        console.log('?? Attract loop stopped');
+    }
+    
+    handleClick(event) {
         // Calculate mouse position
         const rect = this.renderer.domElement.getBoundingClientRect();
         const x = event.clientX || (event.changedTouches && event.changedTouches[0].clientX);
         const y = event.clientY || (event.changedTouches && event.changedTouches[0].clientY);
         
+        if (this.puzzleExploded) {
+            // Ignore the click that ends a drag, and the click that follows touchend
+            const now = Date.now();
+            if (now - this.lastDragEnd < 300 || now - this.lastRouteOpen < 400) return;
+            
+            // The lingering clicked piece, or once solved any piece, opens its region
+            const clickable = this.jigsawPieces.filter(piece => {
+                const anim = piece.userData.animation;
+                return piece.visible && piece.userData.route &&
+                    ((anim && anim.isClickedPiece) || (this.puzzleSolved && piece.userData.placed));
+            });
+            const hit = this.pickPiece(x, y, clickable);
+            if (hit) {
+                this.openPieceRoute(hit.piece);
+            }
+            return;
+        }
+        
         this.mouse.x = ((x - rect.left) / rect.width) * 2 - 1;
         this.mouse.y = -((y - rect.top) / rect.height) * 2 + 1;
         
@@ -1305,100 +2481,461 @@ export class BrainViewer {
         const intersects = this.raycaster.intersectObjects(this.jigsawPieces, true);
         
         if (intersects.length > 0) {
+            // The piece actually under the pointer gets the close-up; the blast starts where it was hit
+            const candidates = this.jigsawPieces.filter(piece => piece.visible && !piece.userData.isEmpty);
+            const hit = this.pickPiece(x, y, candidates);
+            const impactPoint = hit ? hit.point.clone() : intersects[0].point.clone();
             console.log('Puzzle piece clicked! Exploding all pieces...');
-            this.explodeAllPieces();
+            this.explodeAllPieces(hit ? hit.piece : null, impactPoint);
         }
     }
     
-    explodeAllPieces(clickedPiece = null) {
+    /**
+     * Raycast from a screen position and return the first piece whose visible
+     * region (not just its full-brain clone geometry) is under the pointer
+     */
+    pickPiece(clientX, clientY, pieces) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        
+        const intersects = this.raycaster.intersectObjects(pieces, false);
+        for (const hit of intersects) {
+            const piece = hit.object;
+            if (this.isPointOnPiece(piece, hit.point)) {
+                return { piece, point: hit.point };
+            }
+        }
+        
+        return null;
+    }
+    
+    isPuzzleInPlay() {
+        return this.playMode && this.puzzleExploded && !this.puzzleSolved && !this.reassembling;
+    }
+    
+    onPointerDown(event) {
+        // A visitor touching the kiosk takes over from the attract loop
+        this.stopAttractLoop();
+        
+        if (!this.isPuzzleInPlay() || this.draggedPiece) return;
+        
+        const candidates = this.jigsawPieces.filter(p => p.visible && !p.userData.placed && !p.userData.isEmpty);
+        const hit = this.pickPiece(event.clientX, event.clientY, candidates);
+        if (!hit) return;
+        
+        // Take the pointer away from OrbitControls for the duration of the drag
+        event.preventDefault();
+        this.controls.enabled = false;
+        this.dragAutoRotate = this.controls.autoRotate;
+        this.controls.autoRotate = false;
+        this.renderer.domElement.style.cursor = 'grabbing';
+        
+        this.draggedPiece = hit.piece;
+        this.dragPointerId = event.pointerId;
+        
+        // Drag along a camera-facing plane through the grab point, keeping the
+        // grabbed spot of the piece under the pointer
+        const cameraDirection = new THREE.Vector3();
+        this.camera.getWorldDirection(cameraDirection);
+        this.dragPlane.setFromNormalAndCoplanarPoint(cameraDirection, hit.point);
+        this.dragLocalPoint.copy(hit.piece.worldToLocal(hit.point.clone()));
+    }
+    
+    onPointerMove(event) {
+        if (!this.draggedPiece || event.pointerId !== this.dragPointerId) return;
+        
+        const piece = this.draggedPiece;
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        
+        const target = new THREE.Vector3();
+        if (!this.raycaster.ray.intersectPlane(this.dragPlane, target)) return;
+        
+        // Ease back to the home orientation while held
+        const homeQuaternion = new THREE.Quaternion().setFromEuler(piece.userData.originalRotation);
+        piece.quaternion.slerp(homeQuaternion, 0.2);
+        piece.updateMatrixWorld(true);
+        
+        // Shift the piece so the grabbed point lands on the pointer
+        const grabbed = piece.localToWorld(this.dragLocalPoint.clone());
+        if (piece.parent) {
+            piece.parent.worldToLocal(target);
+            piece.parent.worldToLocal(grabbed);
+        }
+        piece.position.add(target.sub(grabbed));
+    }
+    
+    onPointerUp(event) {
+        if (!this.draggedPiece || event.pointerId !== this.dragPointerId) return;
+        
+        const piece = this.draggedPiece;
+        this.endDrag();
+        
+        const worldPosition = piece.getWorldPosition(new THREE.Vector3());
+        if (worldPosition.distanceTo(piece.userData.homeWorldPosition) <= this.snapTolerance) {
+            this.snapPieceHome(piece);
+        } else if (piece.userData.animation) {
+            // Keep floating where it was dropped
+            const anim = piece.userData.animation;
+            anim.startPos.copy(piece.position);
+            anim.targetPos.copy(piece.position);
+            anim.startRot.copy(piece.rotation);
+            anim.targetRot.set(0, 0, 0);
+            anim.startTime = this.timeline.time - anim.duration;
+            anim.dropped = true; // Off its path - reassembly can't play it back
+        }
+    }
+    
+    endDrag() {
+        this.lastDragEnd = Date.now();
+        this.draggedPiece = null;
+        this.dragPointerId = null;
+        this.controls.enabled = true;
+        this.controls.autoRotate = this.dragAutoRotate;
+        this.renderer.domElement.style.cursor = '';
+    }
+    
+    snapPieceHome(piece) {
+        piece.position.copy(piece.userData.originalPosition);
+        piece.rotation.copy(piece.userData.originalRotation);
+        piece.scale.copy(piece.userData.originalScale);
+        piece.userData.placed = true;
+        delete piece.userData.animation;
+        
+        this.piecesPlaced++;
+        this.updatePuzzleProgress();
+        console.log(`Piece ${piece.userData.pieceIndex} placed (${this.piecesPlaced}/${this.getPlayablePieces().length})`);
+        
+        if (this.piecesPlaced >= this.getPlayablePieces().length) {
+            this.onPuzzleSolved();
+        }
+    }
+    
+    getPlayablePieces() {
+        return this.jigsawPieces.filter(piece => !piece.userData.isEmpty);
+    }
+    
+    updatePuzzleProgress() {
+        const progressGroup = document.getElementById('puzzle-progress-group');
+        const progressValue = document.getElementById('puzzle-progress');
+        if (progressGroup) {
+            progressGroup.style.display = this.playMode ? '' : 'none';
+        }
+        if (progressValue) {
+            progressValue.textContent = `${this.piecesPlaced}/${this.getPlayablePieces().length}`;
+        }
+    }
+    
+    onPuzzleSolved() {
+        if (this.puzzleSolved) return;
+        this.puzzleSolved = true;
+        
+        console.log('?? Every piece is home - starting the reveal!');
+        
+        this.addRevealTracks(this.timeline.time);
+    }
+    
+    /**
+     * Play mode explosion: pieces drift out and float around the brain,
+     * waiting to be dragged back. The reveal runs from onPuzzleSolved().
+     */
+    scatterPieces() {
+        const random = this.explosionRandom;
+        this.piecesPlaced = 0;
+        
+        this.jigsawPieces.forEach((piece, index) => {
+            piece.userData.placed = false;
+            
+            // Empty cells have nothing to drag - treat them as already home
+            if (piece.userData.isEmpty) {
+                piece.userData.placed = true;
+                this.piecesPlaced++;
+                return;
+            }
+            
+            // Centre of this piece's cell in home world space (same grid as the shader).
+            // Wrapped mappings have no flat grid, so use the measured centre of the piece.
+            const planar = this.pieceMapping === 'planar' || !piece.userData.homeCentroid;
+            const cellCenter = planar ? new THREE.Vector3(
+                ((piece.userData.col + 0.5) / this.puzzleCols) * 3.0 - 1.5,
+                ((piece.userData.row + 0.5) / this.puzzleRows) * 3.0 - 1.5,
+                0
+            ) : piece.userData.homeCentroid.clone();
+            
+            // Push the visible part of the piece out to a ring (or shell) around the brain
+            const direction = planar
+                ? new THREE.Vector3(cellCenter.x, cellCenter.y, (random() - 0.5) * 1.2)
+                : cellCenter.clone();
+            if (direction.lengthSq() < 0.01) {
+                direction.set(random() - 0.5, random() - 0.5, random() - 0.5);
+            }
+            direction.normalize();
+            const radius = 2.0 + random() * 0.6;
+            const targetWorld = piece.userData.homeWorldPosition.clone()
+                .add(direction.multiplyScalar(radius))
+                .sub(cellCenter);
+            const targetPos = piece.parent ? piece.parent.worldToLocal(targetWorld) : targetWorld;
+            
+            // Bob amplitude in the parent's local units
+            const parentScale = piece.parent ? piece.parent.getWorldScale(new THREE.Vector3()).x : 1;
+            
+            const baseDuration = 2000;
+            piece.userData.animation = {
+                startTime: this.timeline.time + index * 20,
+                duration: baseDuration,
+                isScatter: true,
+                startPos: piece.position.clone(),
+                startRot: piece.rotation.clone(),
+                targetPos,
+                targetRot: new THREE.Euler(
+                    (random() - 0.5) * 0.7,
+                    (random() - 0.5) * 0.7,
+                    (random() - 0.5) * 0.7
+                ),
+                startScale: piece.scale.clone(),
+                floatPhase: random() * Math.PI * 2,
+                floatAmplitude: 0.04 / parentScale
+            };
+        });
+        
+        this.updatePuzzleProgress();
+    }
+    
+    explodeAllPieces(clickedPiece = null, impactPoint = null) {
         if (this.puzzleExploded) return;
         this.puzzleExploded = true;
+        this.timeline.reset();
+        
+        // Fresh stream per explosion so every run with this seed looks the same
+        this.explosionRandom = createRandom(this.seed, 'explosion');
+        const random = this.explosionRandom;
+        
+        if (this.playMode) {
+            console.log(`?? Scattering ${this.jigsawPieces.length} puzzle pieces - drag them back!`);
+            this.scatterPieces();
+            this.addPieceTrack();
+            
+            this.timeline.addEvent('hide-info', 500, () => {
+                const infoPanel = document.getElementById('info-panel');
+                if (infoPanel) {
+                    infoPanel.style.transition = 'opacity 0.5s ease';
+                    infoPanel.style.opacity = '0';
+                }
+            });
+            return;
+        }
         
         console.log(`?? Exploding ${this.jigsawPieces.length} puzzle pieces!`);
         
         // Store clicked piece for special animation
         this.clickedPiece = clickedPiece;
         
-        // Animate each piece flying off screen in random directions
-        this.jigsawPieces.forEach((piece, index) => {
+        if (this.explosionStyle === 'physics') {
+            this.startPhysicsExplosion(impactPoint);
+        }
+        
+        // Blast centre: where the piece was hit, or the middle of the brain
+        const brainCenter = this.brainBounds && !this.brainBounds.isEmpty()
+            ? this.brainBounds.getCenter(new THREE.Vector3())
+            : new THREE.Vector3();
+        const impact = impactPoint ? impactPoint.clone() : brainCenter;
+        const reach = this.brainBounds && !this.brainBounds.isEmpty()
+            ? this.brainBounds.getSize(new THREE.Vector3()).length() * 0.5
+            : 1.5;
+        const now = this.timeline.time;
+        
+        // Animate each piece flying off screen, away from the impact
+        this.jigsawPieces.forEach((piece) => {
             
             // Special animation for the clicked piece
             if (piece === clickedPiece) {
-                // Get camera position
-                const cameraZ = this.camera.position.z;
-                
-                const baseDuration = 4000;
-                piece.userData.animation = {
-                    startTime: Date.now(), // Start immediately
-                    duration: baseDuration / this.explosionSpeedMultiplier, // Adjust by speed
-                    originalDuration: baseDuration,
-                    isClickedPiece: true,
-                    startPos: piece.position.clone(),
-                    startRot: piece.rotation.clone(),
-                    targetPos: new THREE.Vector3(0, 0, cameraZ - 2), // Much closer to camera
-                    targetRot: new THREE.Euler(0, 0, 0),
-                    startScale: piece.scale.clone(),
-                    targetScale: piece.scale.clone().multiplyScalar(20) // Much larger = half screen
-                };
+                piece.userData.animation = this.createCloseUpAnimation(piece, brainCenter);
                 
                 console.log('Clicked piece special animation:', {
-                    startPos: piece.position,
+                    startPos: piece.userData.animation.startPos,
                     targetPos: piece.userData.animation.targetPos,
                     targetScale: piece.userData.animation.targetScale
                 });
                 
                 return; // Skip normal explosion for clicked piece
             }
-            // Random direction (more varied for more pieces)
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 12 + Math.random() * 8; // Slightly faster for more chaos
-            const targetX = Math.cos(angle) * speed;
-            const targetY = Math.sin(angle) * speed;
-            const targetZ = (Math.random() - 0.5) * speed * 1.2;
             
-            // Random rotation (more spinning for dramatic effect)
-            const rotX = (Math.random() - 0.5) * 15;
-            const rotY = (Math.random() - 0.5) * 15;
-            const rotZ = (Math.random() - 0.5) * 15;
+            // Physics takes over the other pieces
+            if (this.physics) return;
+            
+            // Radially out from the impact - pieces near it fly faster and spin harder
+            const centroid = piece.userData.homeCentroid || brainCenter;
+            const offset = centroid.clone().sub(impact);
+            const distance = offset.length();
+            const falloff = 1 / (1 + 4 * Math.pow(distance / reach, 2));
+            
+            // A little scatter so pieces don't fly in perfect lines
+            const direction = offset.normalize().add(new THREE.Vector3(
+                random() - 0.5,
+                random() - 0.5,
+                random() - 0.5
+            ).multiplyScalar(0.4));
+            if (direction.lengthSq() < 1e-6) direction.set(0, 0, 1);
+            if (piece.parent) {
+                direction.transformDirection(piece.parent.matrixWorld.clone().invert());
+            }
+            direction.normalize();
+            const speed = 8 + 12 * falloff + random() * 4;
+            
+            const spin = 15 * (0.4 + 0.6 * falloff);
+            const rotX = (random() - 0.5) * spin;
+            const rotY = (random() - 0.5) * spin;
+            const rotZ = (random() - 0.5) * spin;
             
-            // Store animation data with speed control
+            // Store animation data with speed control. The blast reaches far pieces a moment later.
             const baseDuration = 2500;
             piece.userData.animation = {
-                startTime: Date.now() + (index * 50) / this.explosionSpeedMultiplier, // Stagger with speed
-                duration: baseDuration / this.explosionSpeedMultiplier, // Adjust duration by speed
-                originalDuration: baseDuration, // Store for speed updates
+                startTime: now + (distance / reach) * 400,
+                duration: baseDuration,
                 startPos: piece.position.clone(),
                 startRot: piece.rotation.clone(),
-                targetPos: new THREE.Vector3(targetX, targetY, targetZ).multiplyScalar(this.explosionSpeedMultiplier), // Speed affects distance too
+                targetPos: piece.position.clone().addScaledVector(direction, speed * this.explosionSpeedMultiplier), // Speed affects distance too
                 targetRot: new THREE.Euler(rotX, rotY, rotZ),
                 startScale: piece.scale.clone()
             };
         });
         
+        this.addPieceTrack();
+        
         // Hide info panel after explosion starts
-        setTimeout(() => {
+        this.timeline.addEvent('hide-info', 500, () => {
             const infoPanel = document.getElementById('info-panel');
             if (infoPanel) {
                 infoPanel.style.transition = 'opacity 0.5s ease';
                 infoPanel.style.opacity = '0';
             }
-        }, 500);
+        });
         
-        // Start green overlay fade-out
-        setTimeout(() => {
-            this.startGreenOverlayFade();
-        }, 3000 / this.explosionSpeedMultiplier);
+        // The profile's reveal stages, once the pieces are done (3s for v12)
+        this.addRevealTracks(this.profile.reveal.delay);
+    }
+    
+    /**
+     * Close-up for the clicked piece: its centre flies to just in front of the
+     * camera while it turns its outer face to the viewer and grows to about
+     * half the screen height.
+     */
+    createCloseUpAnimation(piece, brainCenter) {
+        const geometry = piece.geometry;
+        if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+        piece.updateWorldMatrix(true, false);
+        
+        // The mesh origin sits in the middle of the brain, so move the piece's own centre
+        const pivot = geometry.boundingSphere.center.clone();
+        const startWorld = pivot.clone().applyMatrix4(piece.matrixWorld);
+        const viewDirection = this.camera.getWorldDirection(new THREE.Vector3());
+        const targetWorld = this.camera.position.clone().addScaledVector(viewDirection, 2);
+        
+        // Rotate the outward direction onto the direction back to the camera
+        const outward = startWorld.clone().sub(brainCenter);
+        if (outward.lengthSq() < 1e-8) outward.set(0, 0, 1);
+        const turn = new THREE.Quaternion().setFromUnitVectors(outward.normalize(), viewDirection.clone().negate());
+        const parentQuaternion = piece.parent ? piece.parent.getWorldQuaternion(new THREE.Quaternion()) : new THREE.Quaternion();
+        const targetQuat = parentQuaternion.clone().invert()
+            .multiply(turn)
+            .multiply(piece.getWorldQuaternion(new THREE.Quaternion()));
+        
+        // Half the screen height, 2 units from the camera
+        const viewHeight = 2 * 2 * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+        const worldRadius = geometry.boundingSphere.radius * piece.getWorldScale(new THREE.Vector3()).x;
+        const grow = worldRadius > 0 ? (viewHeight * 0.25) / worldRadius : 1;
+        
+        const parentInverse = piece.parent ? piece.parent.matrixWorld.clone().invert() : new THREE.Matrix4();
+        const baseDuration = 4000;
+        return {
+            startTime: this.timeline.time, // Start immediately
+            duration: baseDuration,
+            isClickedPiece: true,
+            pivot,
+            startPos: startWorld.applyMatrix4(parentInverse),
+            targetPos: targetWorld.applyMatrix4(parentInverse),
+            startQuat: piece.quaternion.clone(),
+            targetQuat,
+            startScale: piece.scale.clone(),
+            targetScale: piece.scale.clone().multiplyScalar(grow)
+        };
+    }
+    
+    /**
+     * Hand every piece except the clicked one to the rigid-body simulation.
+     * Pieces are thrown from the impact point (the brain centre if none),
+     * land on a floor under the brain and stay there until restart.
+     */
+    startPhysicsExplosion(impactPoint = null) {
+        const bounds = this.brainBounds && !this.brainBounds.isEmpty()
+            ? this.brainBounds
+            : new THREE.Box3(new THREE.Vector3(-1, -1, -1), new THREE.Vector3(1, 1, 1));
+        const center = bounds.getCenter(new THREE.Vector3());
+        
+        this.physics = new PiecePhysics({
+            floorY: bounds.min.y - 0.4,
+            obstacle: {
+                center,
+                radii: bounds.getSize(new THREE.Vector3()).multiplyScalar(0.5)
+            },
+            random: this.explosionRandom
+        });
         
-        // Start Matrix explosion after puzzle pieces are done
-        setTimeout(() => {
-            this.startMatrixExplosion();
-        }, 4500 / this.explosionSpeedMultiplier);
+        const impact = impactPoint ? impactPoint.clone() : center;
+        this.jigsawPieces.forEach((piece) => {
+            if (piece === this.clickedPiece || !piece.visible) return;
+            this.physics.addPiece(piece, impact);
+            
+            // The simulation can't run backwards, so the record keeps the path for reassembly
+            piece.userData.animation = {
+                isPhysics: true,
+                startTime: this.timeline.time,
+                duration: 0,
+                path: [{ time: 0, position: piece.position.clone(), quaternion: piece.quaternion.clone() }],
+                settled: false
+            };
+        });
+        
+        // Stepped from the timeline, so the speed slider scales simulated time and pausing freezes it
+        let lastStep = 0;
+        this.timeline.addTrack({
+            name: 'physics',
+            start: this.timeline.time,
+            duration: Infinity,
+            onUpdate: (eased, progress, elapsed) => {
+                if (this.physics && elapsed > lastStep) {
+                    this.physics.step((elapsed - lastStep) / 1000);
+                    this.recordPhysicsPaths(elapsed);
+                }
+                lastStep = elapsed;
+            }
+        });
+        
+        console.log(`?? Physics explosion: ${this.physics.bodies.length} pieces thrown`);
+    }
+    
+    /**
+     * Add a sample to each moving piece's path. A piece that has gone to sleep
+     * never moves again, so its path ends there.
+     * @param {number} time - ms since the throw
+     */
+    recordPhysicsPaths(time) {
+        this.physics.bodies.forEach((body) => {
+            const anim = body.piece.userData.animation;
+            if (!anim || !anim.isPhysics || anim.settled) return;
+            
+            anim.path.push({ time, position: body.piece.position.clone(), quaternion: body.piece.quaternion.clone() });
+            anim.duration = time;
+            anim.settled = body.asleep;
+        });
     }
     
     startGreenOverlayFade() {
         console.log('?? Starting green overlay fade-out to reveal brain!');
-        this.greenMelting = true;
-        this.greenMeltStart = Date.now();
         
         // Prepare green overlay meshes for fade
         this.greenOverlay.forEach((mesh) => {
@@ -1411,49 +2948,492 @@ export class BrainViewer {
         });
     }
     
+    /**
+     * Green melt: the shader's melt line sweeps the overlay's height in world
+     * space, from just above it to just below
+     */
+    startGreenMelt() {
+        console.log('?? Green overlay melting away from the top!');
+        
+        const bounds = new THREE.Box3();
+        this.greenOverlay.forEach(mesh => bounds.expandByObject(mesh));
+        if (bounds.isEmpty()) return;
+        
+        this.greenOverlay.forEach((mesh) => {
+            if (mesh.material.uniforms && mesh.material.uniforms.meltRange) {
+                mesh.material.uniforms.meltRange.value.set(bounds.min.y - 0.2, bounds.max.y + 0.2);
+            }
+        });
+    }
+    
     startMatrixExplosion() {
         console.log('?? Starting Matrix code spiral explosion!');
-        this.matrixExploding = true;
-        this.matrixExplodeStart = Date.now();
+        const random = this.explosionRandom;
         
-        // Prepare matrix overlay pieces for spiral explosion
+        // Prepare matrix overlay pieces for the spiral, drip or fade
         this.matrixOverlay.forEach((mesh, index) => {
             // Create spiral pattern - different angles and speeds for threads
             const threadAngle = (index * 137.5) * (Math.PI / 180); // Golden angle for distribution
-            const spiralSpeed = 8 + Math.random() * 4;
-            const spiralRotation = (Math.random() - 0.5) * 20;
+            const spiralSpeed = 8 + random() * 4;
+            const spiralRotation = (random() - 0.5) * 20;
+            
+            // Distances are in world units - the overlay sits inside the scaled-down model
+            const parentScale = mesh.parent ? mesh.parent.getWorldScale(new THREE.Vector3()).x : 1;
             
             mesh.userData.matrixAnim = {
                 startPos: mesh.position.clone(),
                 startRot: mesh.rotation.clone(),
                 angle: threadAngle,
-                speed: spiralSpeed,
+                speed: spiralSpeed / parentScale,
                 rotSpeed: spiralRotation,
-                delay: index * 30 // Small delay per thread for cascade effect
+                depth: random() - 0.5, // Spiral drift towards or away from the camera
+                dripSpeed: (0.6 + random() * 0.4) / parentScale,
+                driftX: (random() - 0.5) * 0.6 / parentScale
             };
         });
     }
 
+    /**
+     * The profile's reveal stages as timeline tracks. `start` is when the
+     * reveal begins: after the explosion, or when the puzzle is solved.
+     */
+    addRevealTracks(start) {
+        this.profile.reveal.stages.forEach(({ stage, at, duration }) => {
+            this.timeline.addTrack({
+                name: stage,
+                start: start + at,
+                duration,
+                ...this.getRevealStage(stage)
+            });
+        });
+    }
+    
+    // Track callbacks for each stage name in REVEAL_STAGES (experience-profile.js)
+    getRevealStage(stage) {
+        const stages = {
+            'green-fade': {
+                onStart: () => this.startGreenOverlayFade(),
+                onUpdate: progress => this.updateGreenFade(progress),
+                onComplete: () => console.log('?? Green overlay completely faded - brain is now visible!')
+            },
+            'green-melt': {
+                onStart: () => this.startGreenMelt(),
+                onUpdate: progress => this.updateGreenMelt(progress),
+                onComplete: () => console.log('?? Green overlay completely melted - brain is now visible!')
+            },
+            'matrix-fade': {
+                onStart: () => this.startMatrixExplosion(),
+                onUpdate: progress => this.updateMatrixFade(progress)
+            },
+            'matrix-spiral': {
+                onStart: () => this.startMatrixExplosion(),
+                onUpdate: progress => this.updateMatrixSpiral(progress)
+            },
+            'matrix-drip': {
+                onStart: () => this.startMatrixExplosion(),
+                onUpdate: progress => this.updateMatrixDrip(progress)
+            },
+            'brain-crossfade': {
+                onStart: () => console.log(`?? Brain crossfading to ${this.getCrossfadeTarget()}`),
+                onUpdate: progress => this.updateBrainCrossfade(progress)
+            }
+        };
+        
+        if (!stages[stage]) {
+            throw new Error(`Unknown reveal stage "${stage}"`);
+        }
+        return stages[stage];
+    }
+    
+    /**
+     * Per-piece animations (piece.userData.animation) as one open-ended track.
+     * Record start times are in timeline ms.
+     */
+    addPieceTrack() {
+        this.timeline.addTrack({
+            name: 'pieces',
+            start: this.timeline.time,
+            duration: Infinity,
+            onUpdate: () => this.updatePieceAnimations(this.timeline.time)
+        });
+    }
+    
+    // Explosion, scatter, close-up and reassembly moves for every piece
+    updatePieceAnimations(now) {
+        this.jigsawPieces.forEach((piece) => {
+            const anim = piece.userData.animation;
+            if (!anim) return;
+            
+            // Reassembly: the way out played backwards, from wherever the piece got to
+            if (anim.reverse) {
+                const back = anim.reverse;
+                const progress = back.duration > 0 ? Math.min(Math.max((now - back.startTime) / back.duration, 0), 1) : 1;
+                const elapsed = back.from * (1 - progress);
+                if (anim.isPhysics) {
+                    this.applyPhysicsPath(piece, anim, elapsed);
+                } else {
+                    this.applyPieceAnimation(piece, anim, elapsed, back.clock + Math.max(now - back.startTime, 0));
+                }
+                return;
+            }
+            
+            // The simulation moves physics pieces - their record only keeps the path
+            if (anim.isPhysics) return;
+            
+            this.applyPieceAnimation(piece, anim, now - anim.startTime, now - anim.startTime);
+        });
+    }
+    
+    /**
+     * Pose a piece from its animation record
+     * @param {THREE.Mesh} piece
+     * @param {Object} anim - piece.userData.animation
+     * @param {number} elapsed - ms into the record
+     * @param {number} clock - ms since the record started, for the close-up wobble and the
+     *     scatter bob - the same as elapsed except when reassembly plays the record backwards
+     */
+    applyPieceAnimation(piece, anim, elapsed, clock) {
+        // REMOVED: if (elapsed < 0) return; // All pieces start immediately!
+        
+        const progress = Math.min(elapsed / anim.duration, 1);
+        
+        // Reassemble: back home along the way out, fading in
+        if (anim.isReassemble) {
+            const easeInOut = EASINGS.easeInOutCubic(Math.max(progress, 0));
+            
+            piece.position.lerpVectors(anim.startPos, anim.targetPos, easeInOut);
+            piece.quaternion.slerpQuaternions(anim.startQuat, anim.targetQuat, easeInOut);
+            piece.scale.lerpVectors(anim.startScale, anim.targetScale, easeInOut);
+            if (piece.material.uniforms) {
+                piece.material.opacity = anim.startOpacity + (1 - anim.startOpacity) * easeInOut;
+            }
+            
+            return;
+        }
+        
+        // Play mode: drift out, then float until dragged
+        if (anim.isScatter) {
+            if (piece === this.draggedPiece) return;
+            
+            const easeOut = 1 - Math.pow(1 - Math.max(progress, 0), 3);
+            piece.position.lerpVectors(anim.startPos, anim.targetPos, easeOut);
+            piece.position.y += Math.sin((anim.startTime + clock) * 0.0015 + anim.floatPhase) * anim.floatAmplitude * easeOut;
+            
+            piece.rotation.x = anim.startRot.x + anim.targetRot.x * easeOut;
+            piece.rotation.y = anim.startRot.y + anim.targetRot.y * easeOut;
+            piece.rotation.z = anim.startRot.z + anim.targetRot.z * easeOut;
+            return;
+        }
+        
+        // Special animation for clicked piece
+        if (anim.isClickedPiece) {
+            const easeOut = 1 - Math.pow(1 - progress, 2); // Slower ease for clicked piece
+            
+            // Turn to face the camera, with a gentle wobble that grows in on the
+            // way (so a reassembly played back lands exactly on the brain)
+            const wobble = easeOut;
+            piece.quaternion.slerpQuaternions(anim.startQuat, anim.targetQuat, easeOut);
+            piece.quaternion.multiply(new THREE.Quaternion().setFromEuler(new THREE.Euler(
+                Math.sin(clock * 0.001) * 0.2 * wobble,
+                Math.cos(clock * 0.0008) * 0.2 * wobble,
+                Math.sin(clock * 0.0012) * 0.1 * wobble
+            )));
+            
+            // Enlarge to take up half screen
+            const scaleProgress = Math.min(progress * 1.2, 1);
+            piece.scale.lerpVectors(anim.startScale, anim.targetScale, scaleProgress);
+            
+            // Float toward camera - positions are for the piece's centre, not its origin
+            const centre = new THREE.Vector3().lerpVectors(anim.startPos, anim.targetPos, easeOut);
+            const pivotOffset = anim.pivot.clone().multiply(piece.scale).applyQuaternion(piece.quaternion);
+            piece.position.copy(centre).sub(pivotOffset);
+            
+            // Stay fully visible
+            if (piece.material.uniforms) {
+                piece.material.opacity = 1.0;
+            }
+            
+            // Don't hide when done - let it linger
+            return;
+        }
+        
+        // Normal explosion for other pieces - held in place until the blast reaches them
+        const easeOut = 1 - Math.pow(1 - Math.max(progress, 0), 3); // Cubic ease-out
+        
+        // Update position
+        piece.position.lerpVectors(anim.startPos, anim.targetPos, easeOut);
+        
+        // Update rotation
+        piece.rotation.x = anim.startRot.x + anim.targetRot.x * easeOut;
+        piece.rotation.y = anim.startRot.y + anim.targetRot.y * easeOut;
+        piece.rotation.z = anim.startRot.z + anim.targetRot.z * easeOut;
+        
+        // Fade out and shrink
+        const fadeProgress = Math.max(0, (progress - 0.5) * 2);
+        if (piece.material.uniforms) {
+            piece.material.opacity = 1 - fadeProgress;
+        }
+        piece.scale.copy(anim.startScale).multiplyScalar(1 - fadeProgress * 0.5);
+        
+        // Hide completely when done (and show again if scrubbed back)
+        piece.visible = progress < 1;
+    }
+    
+    /**
+     * Pose a physics piece from the path recorded while the simulation ran
+     * @param {number} time - ms since the throw
+     */
+    applyPhysicsPath(piece, anim, time) {
+        const path = anim.path;
+        
+        // First sample at or after the time
+        let low = 0;
+        let high = path.length - 1;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (path[middle].time < time) low = middle + 1;
+            else high = middle;
+        }
+        
+        const next = path[low];
+        const previous = path[Math.max(low - 1, 0)];
+        const span = next.time - previous.time;
+        const t = span > 0 ? Math.min(Math.max((time - previous.time) / span, 0), 1) : 1;
+        piece.position.lerpVectors(previous.position, next.position, t);
+        piece.quaternion.slerpQuaternions(previous.quaternion, next.quaternion, t);
+    }
+    
+    // Green overlay fade - simple fade to reveal brain
+    updateGreenFade(progress) {
+        this.greenOverlay.forEach((mesh) => {
+            if (mesh.userData.greenMelt) {
+                const anim = mesh.userData.greenMelt;
+                const opacity = anim.originalOpacity * (1 - progress);
+                
+                // Handle shader materials (green overlay uses shader)
+                if (mesh.material.uniforms) {
+                    // Simply update the opacity uniform - shader handles it
+                    if (mesh.material.uniforms.opacity) {
+                        mesh.material.uniforms.opacity.value = opacity;
+                    }
+                    mesh.material.transparent = opacity < 1.0;
+                } else if (mesh.material.opacity !== undefined) {
+                    // For non-shader materials
+                    mesh.material.opacity = opacity;
+                    mesh.material.transparent = opacity < 1.0;
+                }
+                
+                // Hidden when fully faded (and shown again if the timeline is rewound)
+                mesh.visible = progress < 1;
+            }
+        });
+    }
+    
+    // The brain-crossfade stage goes to anatomical, or back to electric from it
+    getCrossfadeTarget() {
+        return this.brainMaterial === 'anatomical' ? 'electric' : 'anatomical';
+    }
+    
+    /**
+     * Brain crossfade: a twin of each brain mesh draws the target material
+     * underneath while the current one fades out over it. At 1 the mesh takes
+     * the target material itself and the twin is hidden; at 0 it's all undone.
+     */
+    updateBrainCrossfade(progress) {
+        this.brainCrossfade = progress;
+        const target = this.getCrossfadeTarget();
+        
+        this.brainMeshes.forEach((mesh) => {
+            if (!mesh.userData.brainMaterials.original) return;
+            
+            let twin = mesh.userData.crossfadeTwin;
+            if (!twin) {
+                if (progress <= 0) return;
+                twin = new THREE.Mesh(mesh.geometry, mesh.material);
+                twin.frustumCulled = false;
+                mesh.add(twin);
+                mesh.userData.crossfadeTwin = twin;
+            }
+            
+            const fading = progress > 0 && progress < 1;
+            const current = this.getBrainMaterial(mesh, this.brainMaterial);
+            twin.material = this.getBrainMaterial(mesh, target);
+            twin.visible = fading;
+            mesh.material = progress >= 1 ? twin.material : current;
+            
+            // Drawn after the (opaque) twin, nudged towards the camera so it wins the depth test
+            const opacity = fading ? 1 - progress : 1;
+            if (current.uniforms && current.uniforms.opacity) {
+                current.uniforms.opacity.value = opacity;
+            } else {
+                current.opacity = opacity;
+            }
+            current.transparent = fading;
+            current.polygonOffset = fading;
+            current.polygonOffsetFactor = -1;
+            current.polygonOffsetUnits = -1;
+        });
+    }
+    
+    // Green melt - the shader drains everything above the melt line
+    updateGreenMelt(progress) {
+        this.greenOverlay.forEach((mesh) => {
+            if (mesh.material.uniforms && mesh.material.uniforms.melt) {
+                mesh.material.uniforms.melt.value = progress;
+            }
+            mesh.visible = progress < 1;
+        });
+    }
+    
+    // Matrix slow fade
+    updateMatrixFade(progress) {
+        this.matrixOverlay.forEach((mesh) => {
+            if (mesh.material.opacity !== undefined) {
+                mesh.material.opacity = 1 - progress;
+            }
+            mesh.visible = progress < 1;
+        });
+    }
+    
+    // Matrix spiral - the layer spins outwards, 3 turns, fading over the last 40%
+    updateMatrixSpiral(progress) {
+        this.matrixOverlay.forEach((mesh) => {
+            const anim = mesh.userData.matrixAnim;
+            if (!anim) return;
+            
+            const easeOut = EASINGS.easeOutCubic(progress);
+            const spiral = easeOut * anim.speed;
+            const turn = easeOut * Math.PI * 3;
+            const spiralAngle = anim.angle + turn;
+            
+            mesh.position.set(
+                anim.startPos.x + Math.cos(spiralAngle) * spiral,
+                anim.startPos.y + Math.sin(spiralAngle) * spiral,
+                anim.startPos.z + anim.depth * spiral * 0.5
+            );
+            mesh.rotation.set(
+                anim.startRot.x + anim.rotSpeed * easeOut,
+                anim.startRot.y + anim.rotSpeed * easeOut * 0.7,
+                anim.startRot.z + turn
+            );
+            
+            const fadeStart = 0.6;
+            if (mesh.material.opacity !== undefined) {
+                mesh.material.opacity = 1 - Math.max(0, (progress - fadeStart) / (1 - fadeStart));
+            }
+            mesh.visible = progress < 1;
+        });
+    }
+    
+    // Matrix drip - the layer falls away under gravity, drifting sideways, fading over the second half
+    updateMatrixDrip(progress) {
+        this.matrixOverlay.forEach((mesh) => {
+            const anim = mesh.userData.matrixAnim;
+            if (!anim) return;
+            
+            const easeIn = EASINGS.easeInQuad(progress); // Accelerating drip (gravity)
+            mesh.position.set(
+                anim.startPos.x + easeIn * anim.driftX,
+                anim.startPos.y - easeIn * anim.dripSpeed * 8,
+                anim.startPos.z
+            );
+            mesh.rotation.set(anim.startRot.x + easeIn * 0.3, anim.startRot.y, anim.startRot.z);
+            
+            const fadeStart = 0.5;
+            if (mesh.material.opacity !== undefined) {
+                mesh.material.opacity = 1 - Math.max(0, (progress - fadeStart) / (1 - fadeStart));
+            }
+            mesh.visible = progress < 1;
+        });
+    }
+    
+    // Reassembly: green overlay and Matrix layer fade back in
+    updateOverlayReturn(progress) {
+        [...this.greenOverlay, ...this.matrixOverlay].forEach((mesh) => {
+            const fade = mesh.userData.overlayReturn;
+            if (!fade) return;
+            
+            const opacity = fade.startOpacity + (fade.targetOpacity - fade.startOpacity) * progress;
+            if (mesh.material.uniforms && mesh.material.uniforms.opacity) {
+                mesh.material.uniforms.opacity.value = opacity;
+            } else if (mesh.material.opacity !== undefined) {
+                mesh.material.opacity = opacity;
+            }
+            if (fade.startMelt && mesh.material.uniforms.melt) {
+                mesh.material.uniforms.melt.value = fade.startMelt * (1 - progress);
+            }
+        });
+        
+        if (this.brainCrossfadeReturn > 0) {
+            this.updateBrainCrossfade(this.brainCrossfadeReturn * (1 - progress));
+        }
+    }
+    
     onWindowResize() {
+        if (this.frameExport) return; // Rendering at the export size - put back afterwards
+        
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(window.innerWidth, window.innerHeight);
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
-        
-        // Update time
-        this.overlayTime = this.clock.getElapsedTime();
-        
-        // Update electrified brain materials
-        if (this.brainModel) {
-            this.brainModel.traverse((child) => {
-                if (child.isMesh && child.userData.electricMaterial) {
-                    child.userData.electricMaterial.uniforms.time.value = this.overlayTime;
-                }
-            });
+    /**
+     * Freeze everything that runs on the virtual clock: shaders, the Matrix
+     * rain, pieces, reveal stages and the auto-rotate spin. Orbiting, hover
+     * and rendering carry on, so a paused moment can be inspected from any side.
+     */
+    pause() {
+        this.paused = true;
+        this.updatePlaybackControls();
+    }
+    
+    resume() {
+        this.paused = false;
+        this.pendingFrames = 0;
+        this.updatePlaybackControls();
+    }
+    
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
         }
+    }
+    
+    /**
+     * Pause (if playing) and move on by one frame
+     */
+    stepFrame() {
+        if (!this.paused) this.pause();
+        this.pendingFrames++;
+    }
+    
+    /**
+     * Pause and jump the reveal timeline to a time. Going backwards rewinds the
+     * pieces and stages; the physics simulation only ever runs forwards.
+     * @param {number} time - Timeline ms
+     */
+    scrubTo(time) {
+        if (!this.paused) this.pause();
+        this.timeline.seek(time);
+        this.updatePlaybackControls();
+    }
+    
+    /**
+     * Move the virtual clock on and everything that reads it
+     * @param {number} delta - Real ms
+     */
+    advanceClock(delta) {
+        this.clockTime += delta;
+        this.overlayTime = this.clockTime / 1000;
+        
+        // Update electrified brain materials - just the brain's meshes, not the whole model
+        this.brainMeshes.forEach((mesh) => {
+            if (mesh.userData.electricMaterial) {
+                mesh.userData.electricMaterial.uniforms.time.value = this.overlayTime;
+            }
+        });
         
         // Update green glow shader uniforms
         if (this.greenOverlay) {
@@ -1463,169 +3443,361 @@ export class BrainViewer {
                 }
             });
         }
+        this.markProfile('uniforms');
+        
+        // Matrix rain falls in 60 Hz steps of the clock, whatever the frame rate -
+        // lower quality tiers draw several steps at once
+        const drawStep = this.frameStep * this.matrixStepsPerDraw;
+        this.matrixClock += delta;
+        while (this.matrixClock >= drawStep) {
+            this.updateMatrixCanvas(this.matrixStepsPerDraw);
+            this.matrixClock -= drawStep;
+        }
+        this.markProfile('matrix');
+        
+        // Advance the reveal sequence - every stage runs off this one clock
+        this.timeline.update(delta);
+        this.markProfile('pieces');
+        
+        // Camera move towards a focused region
+        if (this.cameraFocus) {
+            const focus = this.cameraFocus;
+            const progress = Math.min((this.clockTime - focus.startTime) / focus.duration, 1);
+            const easeInOut = progress * progress * (3 - 2 * progress);
+            this.camera.position.lerpVectors(focus.startPos, focus.targetPos, easeInOut);
+            if (progress >= 1) {
+                this.cameraFocus = null;
+            }
+        }
+    }
+    
+    /**
+     * Back to virtual time 0 with fresh Matrix rain, so a render from here
+     * is the same every time for this seed
+     */
+    resetClock() {
+        this.clockTime = 0;
+        this.overlayTime = 0;
+        this.matrixClock = 0;
+        this.lastFrameTime = 0;
+        
+        if (this.matrixCtx) {
+            this.matrixCtx.clearRect(0, 0, this.matrixCanvas.width, this.matrixCanvas.height);
+            this.resetMatrixDrops();
+            if (this.matrixTexture) this.matrixTexture.needsUpdate = true;
+        }
+    }
+    
+    /**
+     * Put a quality tier into effect (the QualityManager's onChange). Solid or
+     * thin pieces are only swapped while the puzzle is whole - otherwise on
+     * the next restart().
+     * @param {Object} tier - One of QUALITY_TIERS
+     */
+    applyQualityTier(tier) {
+        // Never above the screen's own pixel ratio. The frame export sets its own.
+        if (!this.frameExport) {
+            this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, tier.pixelRatio));
+        }
         
-        // Update Matrix canvas texture
-        this.updateMatrixCanvas();
+        this.matrixStepsPerDraw = tier.matrixSteps;
+        this.resizeMatrixCanvas(tier.matrixSize);
         
-        // Update Matrix slow fade
-        if (this.matrixExploding) {
-            const now = Date.now();
-            const elapsed = now - this.matrixExplodeStart;
-            const progress = Math.min(elapsed / 3000, 1); // 3s fade
-            
-            this.matrixOverlay.forEach((mesh) => {
-                if (mesh.material.opacity !== undefined) {
-                    mesh.material.opacity = 1 - progress;
-                }
-                
-                if (progress >= 1) {
-                    mesh.visible = false;
-                }
-            });
+        // Material visibility, so the reveal stages stay in charge of the meshes' own
+        [...this.greenOverlay, ...this.matrixOverlay].forEach((mesh) => {
+            mesh.material.visible = tier.overlays;
+        });
+        
+        // Thin shells throughout if solid pieces are turned off
+        const pieceDetail = this.preferSolidPieces ? tier.pieceDetail : 'thin';
+        if (pieceDetail === this.pieceDetail) {
+            this.qualityRebuildPending = false; // Back where the pieces already are
+        } else if (this.puzzleExploded) {
+            this.qualityRebuildPending = true;
+        } else {
+            this.qualityRebuildPending = false;
+            this.pieceDetail = pieceDetail;
+            this.solidPieces = pieceDetail !== 'thin';
+            if (this.jigsawPieces.length > 0) {
+                this.changePuzzleSize(this.puzzleRows, this.puzzleCols);
+            }
+        }
+    }
+    
+    /**
+     * Redraw the Matrix rain at another resolution. The drops are counted in
+     * rows, so the rain carries on where it was.
+     * @param {number} size - Canvas pixels per side
+     */
+    resizeMatrixCanvas(size) {
+        if (!this.matrixCanvas || this.matrixCanvas.width === size) return;
+        
+        this.matrixCanvas.width = size; // Also clears it
+        this.matrixCanvas.height = size;
+        this.matrixFontSize = 12 * size / 1024;
+        if (this.matrixTexture) {
+            this.matrixTexture.dispose(); // A new size needs a new GPU texture
+            this.matrixTexture.needsUpdate = true;
+        }
+    }
+    
+    /**
+     * Show or hide the debug HUD (?debug=1 or the backtick key). The frame
+     * profiler only runs while it's showing, and starts afresh each time.
+     * @returns {boolean} Whether it's showing now
+     */
+    toggleDebugHud() {
+        if (!this.debugHud) {
+            this.debugHud = new DebugHud(document.body, { onExport: () => this.exportProfile() });
+            this.profiler = new FrameProfiler();
+            return true;
+        }
+        const visible = this.debugHud.toggle();
+        if (visible) this.profiler.clear();
+        return visible;
+    }
+    
+    // Charge the time since the last mark to one phase of the frame (frame-profiler.js)
+    markProfile(phase) {
+        if (this.profiler) this.profiler.mark(phase);
+    }
+    
+    // Debug HUD lines
+    updateDebugHud() {
+        const quality = this.quality;
+        const tier = quality.tier;
+        const info = this.renderer.info;
+        const summary = this.profiler.summary(60);
+        const phases = summary.phases;
+        this.debugHud.update([
+            ['FPS', `${quality.fps.toFixed(0)} (target ${quality.targetFps})`],
+            ['Frame', `${quality.frameTime.toFixed(1)} ms, worst ${summary.delta.max.toFixed(1)} ms`],
+            ['Work', `${summary.work.mean.toFixed(2)} ms CPU`],
+            ['- Uniforms', `${phases.uniforms.mean.toFixed(2)} ms`],
+            ['- Matrix', `${phases.matrix.mean.toFixed(2)} ms`],
+            ['- Pieces', `${phases.pieces.mean.toFixed(2)} ms`],
+            ['- Camera', `${phases.controls.mean.toFixed(2)} ms`],
+            ['- Render', `${phases.render.mean.toFixed(2)} ms`],
+            ['Draws', `${info.render.calls}`],
+            ['Tris', `${info.render.triangles.toLocaleString()}`],
+            ['Memory', `${info.memory.geometries} geometries, ${info.memory.textures} textures`],
+            ['Shaders', `${info.programs ? info.programs.length : 0}`],
+            ['Quality', `${tier.name} ${quality.index + 1}/${QUALITY_TIERS.length}${quality.adaptive ? ' auto' : ' fixed'}`],
+            ['Pixels', `${this.renderer.getPixelRatio()}x`],
+            ['Matrix', `${this.matrixCanvas ? this.matrixCanvas.width : 0}px @ ${(60 / this.matrixStepsPerDraw).toFixed(0)} Hz`],
+            ['Overlays', tier.overlays ? 'on' : 'off'],
+            ['Pieces', `${this.pieceDetail}${this.qualityRebuildPending ? ' (changes on restart)' : ''}`]
+        ]);
+        this.debugHud.drawGraph(this.profiler.recent().map(frame => frame.delta));
+    }
+    
+    /**
+     * Download the frame profile as JSON - the last 10 s of frames with the
+     * settings they ran under, to compare runs or attach to a bug report
+     */
+    exportProfile() {
+        if (!this.profiler || this.profiler.frames.length === 0) {
+            console.warn('?? No frames profiled yet - show the debug HUD first');
+            return;
         }
         
-        // Update center drip lines
-        if (this.centerDripping) {
-            const now = Date.now();
-            const elapsed = now - this.centerDripStart;
-            
-            this.centerDripLines.forEach((dripLine) => {
-                if (dripLine.userData.dripAnim) {
-                    const anim = dripLine.userData.dripAnim;
-                    const animElapsed = elapsed - anim.delay;
-                    
-                    if (animElapsed > 0) {
-                        const progress = Math.min(animElapsed / 2000, 1); // 2s drip
-                        const easeIn = progress * progress;
-                        
-                        // Extend downward
-                        const length = easeIn * 3;
-                        dripLine.scale.y = length;
-                        dripLine.position.y = -length / 2;
-                        
-                        // Fade out
-                        const fadeStart = 0.5;
-                        if (progress > fadeStart) {
-                            const fadeProgress = (progress - fadeStart) / (1 - fadeStart);
-                            dripLine.material.opacity = 0.8 * (1 - fadeProgress);
-                        }
-                        
-                        if (progress >= 1) {
-                            dripLine.visible = false;
-                        }
-                    }
-                }
-            });
+        const info = this.renderer.info;
+        const size = this.renderer.getSize(new THREE.Vector2());
+        const profile = this.profiler.toJSON({
+            createdAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            profile: this.profile.id,
+            seed: this.seed,
+            quality: {
+                tier: this.quality.tier.name,
+                adaptive: this.quality.adaptive,
+                targetFps: this.quality.targetFps
+            },
+            pixelRatio: this.renderer.getPixelRatio(),
+            canvas: { width: size.x, height: size.y },
+            brain: this.usingFallbackBrain ? 'procedural' : 'model',
+            renderer: {
+                geometries: info.memory.geometries,
+                textures: info.memory.textures,
+                programs: info.programs ? info.programs.length : 0
+            }
+        });
+        
+        const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `brain-profile-${this.profile.id}-seed${this.seed}.json`);
+        console.log(`?? Saved a profile of ${profile.frames.length} frames`);
+    }
+    
+    /**
+     * Advance by a fixed step and draw - the frame export's replacement for animate()
+     * @param {number} delta - Virtual ms
+     */
+    renderFrame(delta) {
+        this.advanceClock(delta);
+        this.controls.update();
+        this.renderer.render(this.scene, this.camera);
+    }
+    
+    /**
+     * Render the explosion and reveal with the export settings from the
+     * control panel and download the result. Clicking again cancels.
+     */
+    async exportReveal() {
+        if (this.frameExporter.running) {
+            this.frameExporter.cancel();
+            return;
         }
         
-        // Update green overlay fade animation - simple fade to reveal brain
-        if (this.greenMelting) {
-            const now = Date.now();
-            const elapsed = now - this.greenMeltStart;
-            const fadeDuration = 2000 / this.explosionSpeedMultiplier; // 2s fade, adjusted by speed
-            const progress = Math.min(elapsed / fadeDuration, 1);
-            
-            // Simple fade out - all pieces fade simultaneously
-            this.greenOverlay.forEach((mesh) => {
-                if (mesh.userData.greenMelt) {
-                    const anim = mesh.userData.greenMelt;
-                    const opacity = anim.originalOpacity * (1 - progress);
-                    
-                    // Handle shader materials (green overlay uses shader)
-                    if (mesh.material.uniforms) {
-                        // Simply update the opacity uniform - shader handles it
-                        if (mesh.material.uniforms.opacity) {
-                            mesh.material.uniforms.opacity.value = opacity;
-                        }
-                        mesh.material.transparent = opacity < 1.0;
-                    } else if (mesh.material.opacity !== undefined) {
-                        // For non-shader materials
-                        mesh.material.opacity = opacity;
-                        mesh.material.transparent = opacity < 1.0;
-                    }
-                    
-                    // Hide when fully faded
-                    if (progress >= 1) {
-                        mesh.visible = false;
-                        console.log('?? Green overlay completely faded - brain is now visible!');
-                    }
+        const exportBtn = document.getElementById('export-btn');
+        const read = (id, fallback) => {
+            const el = document.getElementById(id);
+            return el ? el.value : fallback;
+        };
+        const [width, height] = read('export-size', '1920x1080').split('x').map(Number);
+        const fps = parseInt(read('export-fps', '30'), 10);
+        const format = read('export-format', 'png');
+        const label = exportBtn ? exportBtn.textContent : '';
+        
+        try {
+            const blob = await this.frameExporter.export({
+                width,
+                height,
+                fps,
+                format,
+                onProgress: (done, total) => {
+                    if (exportBtn) exportBtn.textContent = `⏹️ ${Math.round(done / total * 100)}% - cancel`;
                 }
             });
+            downloadBlob(blob, `brain-reveal-${this.profile.id}-seed${this.seed}-${width}x${height}-${fps}fps.${EXPORT_FORMATS[format].extension}`);
+        } catch (error) {
+            console.error('? Export failed:', error);
+            if (!this.frameExporter.cancelled) alert(`Export failed: ${error.message}`);
+        } finally {
+            if (exportBtn) exportBtn.textContent = label;
+        }
+    }
+    
+    /**
+     * Render the current view offscreen, at any size and whatever the window
+     * size, as a PNG. The on-screen canvas is left alone.
+     * @param {Object} [options]
+     * @param {number} [options.width] - Pixels, defaults to the canvas size
+     * @param {number} [options.height] - Pixels; keeps the window's aspect ratio when only the width is given
+     * @param {boolean} [options.transparent=false] - No background, for print layouts
+     * @returns {Promise<Blob>}
+     */
+    async captureImage({ width, height, transparent = false } = {}) {
+        const canvas = this.renderer.domElement;
+        const aspect = canvas.width / canvas.height;
+        if (!width && !height) {
+            width = canvas.width;
+            height = canvas.height;
+        } else if (!height) {
+            height = width / aspect;
+        } else if (!width) {
+            width = height * aspect;
         }
         
-        // Update puzzle piece animations
-        if (this.puzzleExploded) {
-            const now = Date.now();
-            this.jigsawPieces.forEach((piece) => {
-                if (piece.userData.animation) {
-                    const anim = piece.userData.animation;
-                    const elapsed = now - anim.startTime;
-                    
-                    // REMOVED: if (elapsed < 0) return; // All pieces start immediately!
-                    
-                    // Update duration if speed changed during animation
-                    if (anim.originalDuration && anim.duration !== anim.originalDuration / this.explosionSpeedMultiplier) {
-                        anim.duration = anim.originalDuration / this.explosionSpeedMultiplier;
-                    }
-                    
-                    const progress = Math.min(elapsed / anim.duration, 1);
-                    
-                    // Special animation for clicked piece
-                    if (anim.isClickedPiece) {
-                        const easeOut = 1 - Math.pow(1 - progress, 2); // Slower ease for clicked piece
-                        
-                        // Float toward camera
-                        piece.position.lerpVectors(anim.startPos, anim.targetPos, easeOut);
-                        
-                        // Gentle rotation
-                        piece.rotation.x = anim.startRot.x + (Math.sin(elapsed * 0.001) * 0.2);
-                        piece.rotation.y = anim.startRot.y + (Math.cos(elapsed * 0.0008) * 0.2);
-                        piece.rotation.z = anim.startRot.z + (Math.sin(elapsed * 0.0012) * 0.1);
-                        
-                        // Enlarge to take up half screen
-                        const scaleProgress = Math.min(progress * 1.2, 1);
-                        piece.scale.lerpVectors(anim.startScale, anim.targetScale, scaleProgress);
-                        
-                        // Stay fully visible
-                        if (piece.material.uniforms) {
-                            piece.material.opacity = 1.0;
-                        }
-                        
-                        // Don't hide when done - let it linger
-                        return;
-                    }
-                    
-                    // Normal explosion for other pieces
-                    const easeOut = 1 - Math.pow(1 - progress, 3); // Cubic ease-out
-                    
-                    // Update position
-                    piece.position.lerpVectors(anim.startPos, anim.targetPos, easeOut);
-                    
-                    // Update rotation
-                    piece.rotation.x = anim.startRot.x + anim.targetRot.x * easeOut;
-                    piece.rotation.y = anim.startRot.y + anim.targetRot.y * easeOut;
-                    piece.rotation.z = anim.startRot.z + anim.targetRot.z * easeOut;
-                    
-                    // Fade out and shrink
-                    const fadeProgress = Math.max(0, (progress - 0.5) * 2);
-                    if (piece.material.uniforms) {
-                        piece.material.opacity = 1 - fadeProgress;
-                    }
-                    piece.scale.copy(anim.startScale).multiplyScalar(1 - fadeProgress * 0.5);
-                    
-                    // Hide completely when done
-                    if (progress >= 1) {
-                        piece.visible = false;
-                    }
-                }
-            });
+        const image = renderImage(this.renderer, this.scene, this.camera, { width, height, transparent });
+        console.log(`?? Captured ${image.width}x${image.height}${transparent ? ' (transparent)' : ''}`);
+        return canvasToBlob(image);
+    }
+    
+    /**
+     * Capture with the control panel's screenshot settings and download it
+     */
+    async saveScreenshot() {
+        const sizeSelect = document.getElementById('capture-size');
+        const transparentToggle = document.getElementById('capture-transparent');
+        const size = sizeSelect ? sizeSelect.value : 'window';
+        const [width, height] = size === 'window' ? [] : size.split('x').map(Number);
+        const transparent = transparentToggle ? transparentToggle.checked : false;
+        
+        try {
+            const blob = await this.captureImage({ width, height, transparent });
+            const canvasSize = `${width || this.renderer.domElement.width}x${height || this.renderer.domElement.height}`;
+            downloadBlob(blob, `brain-${this.profile.id}-seed${this.seed}-${canvasSize}.png`);
+        } catch (error) {
+            console.error('? Screenshot failed:', error);
+            alert(`Screenshot failed: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Keep the pause button and scrub slider in step with the timeline
+     */
+    updatePlaybackControls() {
+        const duration = Math.ceil(this.timeline.duration);
+        const time = Math.min(Math.round(this.timeline.time), duration);
+        const display = `${this.paused}|${time}|${duration}`;
+        if (display === this.playbackDisplay) return;
+        this.playbackDisplay = display;
+        
+        const pauseBtn = document.getElementById('pause-btn');
+        if (pauseBtn) {
+            pauseBtn.textContent = this.paused ? '▶️' : '⏸️';
+            pauseBtn.title = this.paused ? 'Resume (Space)' : 'Pause (Space)';
+            pauseBtn.setAttribute('aria-label', this.paused ? 'Resume' : 'Pause');
+        }
+        
+        const scrubSlider = document.getElementById('timeline-scrub');
+        if (scrubSlider) {
+            scrubSlider.max = duration;
+            scrubSlider.value = time;
+            scrubSlider.disabled = duration === 0; // Nothing to scrub until the explosion
         }
         
-        // Update controls
+        const timeValue = document.getElementById('timeline-time');
+        if (timeValue) timeValue.textContent = (time / 1000).toFixed(1) + 's';
+    }
+
+    animate() {
+        requestAnimationFrame(() => this.animate());
+        if (this.frameExport) return; // The exporter is rendering frames itself
+        
+        // Real time since the last frame, capped so a background tab doesn't jump ahead
+        const frameNow = Date.now();
+        const frameDelta = this.lastFrameTime ? Math.min(frameNow - this.lastFrameTime, 250) : 0;
+        this.lastFrameTime = frameNow;
+        this.quality.sample(frameDelta);
+        const profiling = this.debugHud && this.debugHud.visible;
+        if (profiling) this.profiler.beginFrame(frameDelta);
+        
+        // While paused the clock only moves for single steps
+        let stepping = false;
+        if (!this.paused) {
+            this.advanceClock(frameDelta);
+        } else if (this.pendingFrames > 0) {
+            this.pendingFrames--;
+            this.advanceClock(this.frameStep);
+            stepping = true;
+        }
+        this.updatePlaybackControls();
+        
+        // Update controls - the auto-rotate spin holds while paused too
+        const autoRotate = this.controls.autoRotate;
+        if (this.paused && !stepping) {
+            this.controls.autoRotate = false;
+        }
         this.controls.update();
+        this.controls.autoRotate = autoRotate;
+        
+        // Tooltips and region labels follow the camera
+        this.updateHover();
+        this.overlay.updateIndicators();
+        this.markProfile('controls');
         
         // Render
         this.renderer.render(this.scene, this.camera);
+        
+        if (profiling) {
+            this.profiler.mark('render');
+            this.profiler.endFrame(this.renderer.info);
+            if (frameNow - this.lastHudUpdate >= 250) {
+                this.lastHudUpdate = frameNow;
+                this.updateDebugHud();
+            }
+        }
     }
 
     start() {
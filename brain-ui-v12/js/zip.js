@@ -0,0 +1,88 @@
+/**
+ * Zip
+ * Minimal zip writer for the frame export. Files are stored uncompressed
+ * (PNGs are compressed already) with a fixed timestamp, so the same frames
+ * always give a byte-identical archive.
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// 1980-01-01 00:00, the earliest date zip can hold
+const DOS_TIME = 0;
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Bundle files into a zip
+ * @param {Array<{name: string, data: Uint8Array}>} files
+ * @returns {Blob} application/zip
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+        
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // Local file header
+        local.setUint16(4, 20, true);         // Version needed (2.0)
+        local.setUint16(6, 0x0800, true);     // UTF-8 names
+        local.setUint16(8, 0, true);          // Stored
+        local.setUint16(10, DOS_TIME, true);
+        local.setUint16(12, DOS_DATE, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local, nameBytes, data);
+        
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true); // Central directory header
+        entry.setUint16(4, 20, true);         // Made by
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, DOS_TIME, true);
+        entry.setUint16(14, DOS_DATE, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);    // Where the local header is
+        central.push(entry, nameBytes);
+        
+        offset += 30 + nameBytes.length + data.length;
+    });
+    
+    const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);       // End of central directory
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}